@@ -20,6 +20,16 @@ const adapterFiles = glob
   .sync('src/adapters/*.js')
   .filter(file => !path.basename(file).startsWith('_'));
 
+// Keep the auto-bootstrap entry's component imports external so they load the
+// sibling dist/(dev/)components/*.js bundles at runtime instead of being inlined
+const autoExternal = id => id.startsWith('./components/');
+
+// Parallelogram imports the state debugger on demand; keep it out of single-file
+// bundles and point the import at the sibling dist/(dev/)core/StateDebugger.js build
+const stateDebuggerId = path.resolve('src/core/StateDebugger.js');
+const stateDebuggerExternal = [stateDebuggerId];
+const stateDebuggerPaths = { [stateDebuggerId]: './core/StateDebugger.js' };
+
 // Helper to create plugin array for components
 const createComponentPlugins = (isProduction = false) => {
   const plugins = [
@@ -141,9 +151,11 @@ const devCoreConfigs = coreFiles.map(file => {
 
   return {
     input: file,
+    external: file === 'src/core/StateDebugger.js' ? [] : stateDebuggerExternal,
     output: {
       file: `dist/dev/core/${name}.js`,
       format: 'esm',
+      paths: { [stateDebuggerId]: './StateDebugger.js' },
     },
     plugins: [
       resolve({ extensions: ['.js'] }),
@@ -158,9 +170,11 @@ const prodCoreConfigs = coreFiles.map(file => {
 
   return {
     input: file,
+    external: file === 'src/core/StateDebugger.js' ? [] : stateDebuggerExternal,
     output: {
       file: `dist/core/${name}.js`,
       format: 'esm',
+      paths: { [stateDebuggerId]: './StateDebugger.js' },
     },
     plugins: [
       resolve({ extensions: ['.js'] }),
@@ -183,7 +197,8 @@ export default [
   // Core framework build - ESM (production)
   {
     input: 'src/index.js',
-    output: { file: 'dist/index.esm.js', format: 'esm' },
+    external: stateDebuggerExternal,
+    output: { file: 'dist/index.esm.js', format: 'esm', paths: stateDebuggerPaths },
     plugins: [
       resolve(),
       commonjs(),
@@ -203,14 +218,16 @@ export default [
   // Core framework build - ESM (development)
   {
     input: 'src/index.js',
-    output: { file: 'dist/dev/index.esm.js', format: 'esm' },
+    external: stateDebuggerExternal,
+    output: { file: 'dist/dev/index.esm.js', format: 'esm', paths: stateDebuggerPaths },
     plugins: [resolve(), commonjs()],
   },
 
   // Core framework build - CommonJS (production)
   {
     input: 'src/index.js',
-    output: { file: 'dist/index.cjs', format: 'cjs' },
+    external: stateDebuggerExternal,
+    output: { file: 'dist/index.cjs', format: 'cjs', paths: stateDebuggerPaths },
     plugins: [
       resolve(),
       commonjs(),
@@ -230,7 +247,53 @@ export default [
   // Core framework build - CommonJS (development)
   {
     input: 'src/index.js',
-    output: { file: 'dist/dev/index.cjs', format: 'cjs' },
+    external: stateDebuggerExternal,
+    output: { file: 'dist/dev/index.cjs', format: 'cjs', paths: stateDebuggerPaths },
+    plugins: [resolve(), commonjs()],
+  },
+
+  // Auto-bootstrap entry - ESM (production)
+  // Built-in component loaders stay relative imports of the per-component bundles
+  {
+    input: 'src/auto.js',
+    external: id => autoExternal(id) || id === stateDebuggerId,
+    output: {
+      file: 'dist/auto.js',
+      format: 'esm',
+      paths: stateDebuggerPaths,
+    },
+    plugins: [
+      resolve(),
+      commonjs(),
+      babel({
+        babelHelpers: 'bundled',
+        plugins: [stripLogger],
+        exclude: 'node_modules/**',
+      }),
+      terser({
+        compress: { drop_debugger: true },
+        mangle: { keep_classnames: true },
+        format: { comments: false },
+      }),
+    ],
+  },
+
+  // Auto-bootstrap entry - ESM (development)
+  {
+    input: 'src/auto.js',
+    external: id => autoExternal(id) || id === stateDebuggerId,
+    output: {
+      file: 'dist/dev/auto.js',
+      format: 'esm',
+      paths: stateDebuggerPaths,
+    },
+    plugins: [resolve(), commonjs()],
+  },
+
+  // Testing harness - ESM (unminified, test environments only)
+  {
+    input: 'src/testing.js',
+    output: { file: 'dist/testing.js', format: 'esm' },
     plugins: [resolve(), commonjs()],
   },
 
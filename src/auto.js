@@ -0,0 +1,233 @@
+/**
+ * Auto-bootstrap entry point - zero-JS setup from a JSON config block
+ *
+ * Importing this module reads the first
+ * `<script type="application/json" data-parallelogram-config>` block on the page,
+ * registers the listed components and calls `Parallelogram.create(config).run()`.
+ * No inline init script is needed, which keeps strict CSP policies happy.
+ *
+ * Built-in components can be referenced by name; their loaders and default
+ * selectors come from `builtInComponents`. Custom components point at an ES
+ * module URL instead.
+ *
+ * When the app is running a `parallelogram:ready` event is dispatched on
+ * `document` with the instance in `event.detail.app`. If the app can't be
+ * created or started, the error is logged and `ready` resolves to null.
+ *
+ * @example
+ * <script type="application/json" data-parallelogram-config>
+ *   {
+ *     "mode": "production",
+ *     "router": { "timeout": 8000 },
+ *     "pageManager": { "mountDelay": 0 },
+ *     "components": [
+ *       "Toggle",
+ *       "PModal",
+ *       { "component": "DataTable", "mount": "visible" },
+ *       { "component": "Lazysrc", "selector": "img[data-lazysrc]" },
+ *       { "selector": "[data-cart]", "module": "/js/cart.js", "export": "Cart" }
+ *     ]
+ *   }
+ * </script>
+ * <script type="module" src="https://cdn.example.com/@parallelogram-js/core/dist/auto.js"></script>
+ */
+
+import { Parallelogram } from './core/Parallelogram.js';
+import { createLogger } from './core/DevLogger.js';
+
+/**
+ * Built-in components by name: default selector (or tag name) and loader.
+ * Loader paths are relative so they resolve next to this file in both src/ and dist/.
+ */
+export const builtInComponents = {
+  CopyToClipboard: {
+    selector: '[data-copytoclipboard]',
+    loader: () => import('./components/CopyToClipboard.js'),
+  },
+  DataTable: {
+    selector: '[data-datatable]',
+    loader: () => import('./components/DataTable.js'),
+  },
+  DeferTracker: {
+    selector: '[data-defer-tracker]',
+    loader: () => import('./components/DeferTracker.js'),
+  },
+  FormEnhancer: {
+    selector: '[data-form-validator]',
+    loader: () => import('./components/FormEnhancer.js'),
+  },
+  Lazysrc: {
+    selector: '[data-lazysrc]:not([data-lazysrc-complete])',
+    loader: () => import('./components/Lazysrc.js'),
+  },
+  Lightbox: {
+    selector: '[data-lightbox]',
+    loader: () => import('./components/Lightbox.js'),
+  },
+  Modal: {
+    selector: '[data-modal][data-modal-target]',
+    loader: () => import('./components/Modal.js'),
+  },
+  Scrollhide: {
+    selector: '[data-scrollhide]',
+    loader: () => import('./components/Scrollhide.js'),
+  },
+  Scrollreveal: {
+    selector: '[data-reveal]',
+    loader: () => import('./components/Scrollreveal.js'),
+  },
+  SelectLoader: {
+    selector: '[data-selectloader]',
+    loader: () => import('./components/SelectLoader.js'),
+  },
+  Tabs: {
+    selector: '[data-tabs]',
+    loader: () => import('./components/Tabs.js'),
+  },
+  Toast: {
+    selector: '[data-toast-trigger][data-toast-message]',
+    loader: () => import('./components/Toast.js'),
+  },
+  Toggle: {
+    selector: '[data-toggle]',
+    loader: () => import('./components/Toggle.js'),
+  },
+  Videoplay: {
+    selector: '[data-videoplay]',
+    loader: () => import('./components/Videoplay.js'),
+  },
+  PDatetime: {
+    selector: 'p-datetime',
+    loader: () => import('./components/PDatetime.js'),
+  },
+  PModal: {
+    selector: 'p-modal',
+    loader: () => import('./components/PModal.js'),
+  },
+  PSelect: {
+    selector: 'p-select',
+    loader: () => import('./components/PSelect.js'),
+  },
+  PToasts: {
+    selector: 'p-toasts',
+    loader: () => import('./components/PToasts.js'),
+  },
+  PUploader: {
+    selector: 'p-uploader',
+    loader: () => import('./components/PUploader.js'),
+  },
+};
+
+/**
+ * Read the JSON config block from the document
+ * @param {Document|Element} [root=document] - Where to look for the config block
+ * @returns {Object|null} Parsed config, or null if absent or invalid
+ */
+export function readConfig(root = document) {
+  const script = root.querySelector('script[type="application/json"][data-parallelogram-config]');
+  if (!script) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(script.textContent || '{}');
+  } catch (error) {
+    console.error('[Parallelogram] Invalid JSON in data-parallelogram-config', error);
+    return null;
+  }
+}
+
+/**
+ * Turn a `components` entry into add() arguments
+ * @private
+ * @param {string|Object} entry - Built-in name or mapping object
+ * @returns {{selector: string, options: Object}|null}
+ */
+function resolveComponentEntry(entry) {
+  const mapping = typeof entry === 'string' ? { component: entry } : { ...entry };
+  const { component, module: modulePath, export: exportName, selector, ...options } = mapping;
+
+  if (component) {
+    const builtIn = builtInComponents[component];
+    if (!builtIn) {
+      console.warn(`[Parallelogram] Unknown built-in component: ${component}`);
+      return null;
+    }
+
+    return {
+      selector: selector || builtIn.selector,
+      options: { ...options, loader: builtIn.loader },
+    };
+  }
+
+  if (modulePath && selector) {
+    const loader = exportName
+      ? () => import(modulePath).then(module => ({ default: module[exportName] }))
+      : () => import(modulePath);
+
+    return { selector, options: { ...options, loader } };
+  }
+
+  console.warn(
+    '[Parallelogram] Component mapping needs a "component", or a "selector" and "module"',
+    entry
+  );
+  return null;
+}
+
+/**
+ * Create and run a Parallelogram app from a config object
+ * @param {Object} config - Parallelogram.create() options plus a `components` list
+ * @returns {Promise<Parallelogram>}
+ */
+export function createFromConfig(config) {
+  const { components = [], ...appConfig } = config;
+  const app = Parallelogram.create(appConfig);
+
+  for (const entry of components) {
+    const resolved = resolveComponentEntry(entry);
+    if (!resolved) continue;
+
+    app.components.add(resolved.selector, resolved.options);
+  }
+
+  return app.run();
+}
+
+/**
+ * Bootstrap from the page's config block once the document has been parsed
+ * Never rejects: failures (an invalid config, a component module that can't be
+ * imported, ...) are logged and resolve to null.
+ * @returns {Promise<Parallelogram|null>} The running app, or null without a config block
+ */
+export function bootstrap() {
+  const start = () => {
+    const config = readConfig();
+    if (!config) {
+      return Promise.resolve(null);
+    }
+
+    return Promise.resolve()
+      .then(() => createFromConfig(config))
+      .then(
+        app => {
+          document.dispatchEvent(new CustomEvent('parallelogram:ready', { detail: { app } }));
+          return app;
+        },
+        error => {
+          createLogger('parallelogram', false).error('Auto-bootstrap failed', { error });
+          return null;
+        }
+      );
+  };
+
+  if (document.readyState === 'loading') {
+    return new Promise(resolve => {
+      document.addEventListener('DOMContentLoaded', () => resolve(start()), { once: true });
+    });
+  }
+
+  return start();
+}
+
+export const ready = typeof document !== 'undefined' ? bootstrap() : Promise.resolve(null);
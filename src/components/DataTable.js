@@ -5,11 +5,14 @@ import { createElement, generateId, debounce } from '../utils/dom-utils.js';
 /**
  * DataTable Component - Enhanced table functionality
  *
+ * `data-datatable-persist="key"` keeps the search, sort and page across visits.
+ *
  * @example
  * <table data-datatable
  *        data-datatable-sortable="true"
  *        data-datatable-filterable="true"
- *        data-datatable-paginate="10">
+ *        data-datatable-paginate="10"
+ *        data-datatable-persist="orders">
  *   <thead>
  *     <tr>
  *       <th data-sort="name">Name</th>
@@ -47,6 +50,20 @@ export class DataTable extends BaseComponent {
     };
   }
 
+  /**
+   * Typed data-datatable-* attributes, parsed into state.config by BaseComponent
+   */
+  static get schema() {
+    const defaults = DataTable.defaults;
+    return {
+      sortable: { type: 'boolean', default: defaults.sortable },
+      filterable: { type: 'boolean', default: defaults.filterable },
+      paginate: { type: 'number', default: defaults.paginate, min: 0 },
+      pageSize: { type: 'number', default: defaults.pageSize, min: 1 },
+      searchDelay: { type: 'duration', default: defaults.searchDelay },
+    };
+  }
+
   constructor(options = {}) {
     super(options);
     this.searchTimeout = null;
@@ -58,18 +75,18 @@ export class DataTable extends BaseComponent {
     /* Initialize with idle state */
     this.setState(element, ComponentStates.MOUNTED);
 
-    /* Get configuration */
-    const config = this._getConfiguration(element);
+    /* Configuration is parsed from the schema by BaseComponent */
+    const { config } = state;
 
     /* Store original data */
     const rows = Array.from(element.querySelectorAll('tbody tr'));
 
-    state.config = config;
     state.originalRows = rows;
     state.filteredRows = [...rows];
     state.currentSort = { column: null, direction: null };
     state.currentPage = 1;
     state.searchTerm = '';
+    state.searchQuery = '';
     state.errorMessage = null;
 
     /* Set up functionality */
@@ -77,26 +94,62 @@ export class DataTable extends BaseComponent {
     if (config.filterable) this._setupFiltering(element, state);
     if (config.paginate) this._setupPagination(element, state);
 
+    /* Re-apply search, sort and page saved with data-datatable-persist */
+    const persisted = this._restorePersistedState(element);
+    if (persisted) this._applyPersistedState(element, state, persisted);
+
     this._render(element, state);
 
     this.eventBus?.emit('datatable:mounted', { element, config });
     return state;
   }
 
-  _getConfiguration(element) {
-    return {
-      sortable: this.getAttr(element, 'sortable', DataTable.defaults.sortable),
-      filterable: this.getAttr(element, 'filterable', DataTable.defaults.filterable),
-      paginate:
-        parseInt(this.getAttr(element, 'paginate', DataTable.defaults.paginate)) ||
-        false,
-      pageSize: parseInt(
-        this.getAttr(element, 'page-size', DataTable.defaults.pageSize)
-      ),
-      searchDelay: parseInt(
-        this.getAttr(element, 'search-delay', DataTable.defaults.searchDelay)
-      ),
-    };
+  /**
+   * Re-read the configuration after data-datatable-* attributes change
+   * Pagination or sort changes go back to the first page and re-render. Sorting
+   * and filtering controls are created on mount, so toggling `sortable` /
+   * `filterable` afterwards needs a remount.
+   * @param {HTMLElement} element - Table element
+   * @param {string[]} [changedAttributes=[]] - Changed attribute names without the prefix
+   */
+  update(element, changedAttributes = []) {
+    super.update(element, changedAttributes);
+
+    const state = this.getState(element);
+    if (!state) return;
+
+    const layoutKeys = ['paginate', 'page-size', 'sortable'];
+    if (!changedAttributes.some(attribute => layoutKeys.includes(attribute))) return;
+
+    if (state.config.paginate && !state.paginationContainer) {
+      this._setupPagination(element, state);
+    } else if (!state.config.paginate && state.paginationContainer) {
+      state.paginationContainer.innerHTML = '';
+    }
+
+    state.currentPage = 1;
+    this._render(element, state);
+  }
+
+  /**
+   * Apply a persisted { search, sort, page } snapshot during _init
+   * @private
+   */
+  _applyPersistedState(element, state, { search, sort, page }) {
+    if (search && state.config.filterable) {
+      if (state.searchInput) state.searchInput.value = search;
+      this._handleFilter(element, state, search);
+    }
+
+    if (sort?.column && state.config.sortable) {
+      const header = element.querySelector(`th[data-sort="${sort.column}"]`);
+      if (header) this._handleSort(element, state, header, sort.direction);
+    }
+
+    if (page > 1) {
+      const totalPages = Math.ceil(state.filteredRows.length / state.config.pageSize);
+      state.currentPage = Math.min(page, Math.max(1, totalPages));
+    }
   }
 
   _setupSorting(element, state) {
@@ -136,6 +189,7 @@ export class DataTable extends BaseComponent {
     }, state.config.searchDelay);
 
     searchInput.addEventListener('input', e => debouncedFilter(e.target.value));
+    state.searchInput = searchInput;
 
     const fieldContainer = createElement('div', { className: 'form__field' });
     fieldContainer.appendChild(searchInput);
@@ -156,13 +210,17 @@ export class DataTable extends BaseComponent {
     state.paginationContainer = paginationContainer;
   }
 
-  _handleSort(element, state, header) {
+  _handleSort(element, state, header, forcedDirection = null) {
     const column = header.dataset.sort;
     const sortType = header.dataset.sortType || 'string';
 
-    // Determine sort direction
-    let direction = 'asc';
-    if (state.currentSort.column === column && state.currentSort.direction === 'asc') {
+    // Determine sort direction (clicks alternate; sort() and restores pass one)
+    let direction = forcedDirection || 'asc';
+    if (
+      !forcedDirection &&
+      state.currentSort.column === column &&
+      state.currentSort.direction === 'asc'
+    ) {
       direction = 'desc';
     }
 
@@ -202,6 +260,7 @@ export class DataTable extends BaseComponent {
   }
 
   _handleFilter(element, state, searchTerm) {
+    state.searchQuery = searchTerm;
     state.searchTerm = searchTerm.toLowerCase();
 
     if (!searchTerm) {
@@ -265,6 +324,13 @@ export class DataTable extends BaseComponent {
       this._renderPagination(element, state);
     }
 
+    // Save the view for data-datatable-persist
+    this._persistState(element, {
+      search: state.searchQuery,
+      sort: state.currentSort,
+      page: state.currentPage,
+    });
+
     // Emit event
     this.eventBus?.emit('datatable:rendered', {
       element,
@@ -426,8 +492,7 @@ export class DataTable extends BaseComponent {
 
     const header = element.querySelector(`th[data-sort="${column}"]`);
     if (header) {
-      state.currentSort = { column, direction };
-      this._handleSort(element, state, header);
+      this._handleSort(element, state, header, direction);
     }
   }
 
@@ -21,6 +21,9 @@ import { BaseComponent } from '@parallelogram-js/core';
  *   Navigation content
  * </header>
  *
+ * <!-- Stay hidden after a reload mid-page (data-scrollhide-persist-storage="session" for per-session) -->
+ * <header data-scrollhide data-scrollhide-persist="site-header">Navigation content</header>
+ *
  * <!-- Manual targeting -->
  * <div data-scrollhide data-scrollhide-target="#floating-menu">
  *   <nav id="floating-menu">Menu items</nav>
@@ -111,6 +114,14 @@ export default class Scrollhide extends BaseComponent {
     state.lastY = 0;
     state.ticking = false;
 
+    // Restore a persisted hidden state when the page is still scrolled (e.g. after a reload)
+    const persisted = this._restorePersistedState(element);
+    if (persisted?.hidden && window.scrollY > 0) {
+      target.classList.add(scrolledClass);
+      state.currentY = window.scrollY;
+      state.lastY = window.scrollY;
+    }
+
     // Create throttled scroll handler
     const scrollHandler = this._createScrollHandler(element, state);
     const throttledHandler = this._throttle(scrollHandler, debounce);
@@ -252,6 +263,10 @@ export default class Scrollhide extends BaseComponent {
   _emitStateChange(element, action, data) {
     const state = this.getState(element);
 
+    if (action === 'hidden' || action === 'shown') {
+      this._persistState(element, { hidden: action === 'hidden' });
+    }
+
     // DOM event
     this._dispatch(element, `scrollhide:${action}`, {
       target: state.target,
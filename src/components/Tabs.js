@@ -22,6 +22,10 @@ import { generateId } from '../utils/dom-utils.js';
  *   </div>
  * </div>
  *
+ * Remember the selected tab across visits (add data-tabs-persist-storage="session"
+ * to keep it for the browser session only):
+ * <div data-tabs data-tabs-persist="account-settings">...</div>
+ *
  * JavaScript (standalone):
  * import { Tabs } from './components/Tabs.js';
  * const tabs = new Tabs();
@@ -104,8 +108,11 @@ export default class Tabs extends BaseComponent {
     // Setup tabs
     this._setupTabs(element, state);
 
-    // Set initial active tab
-    const initialTab = this._getInitialTab(tabs, defaultTab);
+    // Set initial active tab (a persisted choice wins over the markup)
+    const persisted = this._restorePersistedState(element);
+    const initialTab =
+      tabs.find(tab => persisted?.activeTab && tab.dataset.tab === persisted.activeTab) ||
+      this._getInitialTab(tabs, defaultTab);
     if (initialTab) {
       this._activateTab(element, initialTab.dataset.tab, state, false); // false = no animation on init
     }
@@ -325,6 +332,7 @@ export default class Tabs extends BaseComponent {
     // Update state
     state.activeTab = panelId;
     state.activePanel = targetPanel;
+    this._persistState(element, { activeTab: panelId });
 
     // Focus management
     if (state.autoFocus) {
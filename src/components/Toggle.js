@@ -43,6 +43,10 @@ import { ExtendedStates } from '../core/ComponentStates.js';
  * <button data-toggle data-toggle-target="#panel-1" aria-expanded="false">Panel 1</button>
  * <div id="panel-1" class="panel">Panel 1 content</div>
  *
+ * <!-- Remember whether the panel was left open (data-toggle-persist-storage="session" for per-session) -->
+ * <button data-toggle data-toggle-target="#filters" data-toggle-persist="filters">Filters</button>
+ * <div id="filters" class="panel">Filter controls</div>
+ *
  * JavaScript (standalone):
  * import { Toggle } from './components/Toggle.js';
  * const toggles = new Toggle();
@@ -77,6 +81,14 @@ export default class Toggle extends BaseComponent {
     };
   }
 
+  /**
+   * Attributes whose changes PageManager passes to update()
+   * @returns {string[]}
+   */
+  static get observedAttributes() {
+    return ['target'];
+  }
+
   /**
    * Initialize the toggle functionality on a trigger element
    * @param {HTMLElement} element - Trigger element with data-toggle attribute
@@ -123,6 +135,13 @@ export default class Toggle extends BaseComponent {
     state.multiple = multiple;
     state.animateToggle = animateToggle;
     state.closeOnNavigation = closeOnNavigation;
+
+    // Restore a persisted open/closed state before reading it from the target
+    const persisted = this._restorePersistedState(element);
+    if (typeof persisted?.open === 'boolean') {
+      target.classList.toggle(Toggle.defaults.openClass, persisted.open);
+    }
+
     state.isOpen = target.classList.contains(Toggle.defaults.openClass);
     state.transitionTimer = null;
 
@@ -143,6 +162,11 @@ export default class Toggle extends BaseComponent {
       element.setAttribute('aria-controls', targetSelector.replace('#', ''));
     }
 
+    // A restored open target needs the same outside-click/navigation listeners as show()
+    if (persisted?.open && state.isOpen && (capture || closeOnNavigation)) {
+      this._setupGlobalListeners(element, state);
+    }
+
     // Set up escape key handler if enabled
     if (Toggle.defaults.closeOnEscape) {
       const escapeHandler = e => this._handleEscape(e, element, state);
@@ -180,6 +204,24 @@ export default class Toggle extends BaseComponent {
     return state;
   }
 
+  /**
+   * Re-initialize the trigger when its data-toggle-target changes
+   * @param {HTMLElement} element - Trigger element
+   * @param {string[]} [changedAttributes=[]] - Changed attribute names without the prefix
+   */
+  update(element, changedAttributes = []) {
+    if (!changedAttributes.includes('target')) return;
+
+    // Drop the aria-controls _init() derived from the old target so it is set again
+    const previous = this.getState(element)?.targetSelector;
+    if (previous && element.getAttribute('aria-controls') === previous.replace('#', '')) {
+      element.removeAttribute('aria-controls');
+    }
+
+    this.unmount(element);
+    this.mount(element);
+  }
+
   /**
    * Handle click events on toggle triggers
    * @private
@@ -246,6 +288,7 @@ export default class Toggle extends BaseComponent {
 
     // Update internal state for this trigger
     state.isOpen = true;
+    this._persistState(element, { open: true });
 
     // Update state for all triggers targeting the same element
     this._syncTriggerStates(state.targetSelector, true);
@@ -307,6 +350,7 @@ export default class Toggle extends BaseComponent {
 
     // Update internal state for this trigger
     state.isOpen = false;
+    this._persistState(element, { open: false });
 
     // Update state for all triggers targeting the same element
     this._syncTriggerStates(state.targetSelector, false);
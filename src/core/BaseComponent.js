@@ -15,6 +15,8 @@ import {
   createElement,
   getTargetElement
 } from '../utils/dom-utils.js';
+import { parseAttributeSchema, describeElement } from '../utils/attribute-schema.js';
+import { statePersistence } from './StatePersistence.js';
 
 /**
  * BaseComponent - Production-ready base class with state management
@@ -23,30 +25,86 @@ import {
  * parsing, and event dispatching. Components should extend this class and
  * implement _init(element) and optionally update(element).
  *
+ * Components can declare a `static get schema()` describing their
+ * data-<component>-* attributes (see utils/attribute-schema.js). The base
+ * _init() then parses them into a typed `state.config`. PageManager calls
+ * update() when a schema attribute, or one listed in `static get
+ * observedAttributes()`, changes on a mounted element.
+ *
  * @typedef {Object} ComponentState
  * @property {AbortController} controller - Abort controller for listeners
  * @property {Function} cleanup - Cleanup function called on unmount
  */
 export class BaseComponent {
-  constructor({ eventBus, logger, router }) {
+  /**
+   * data-<component>-* attributes (without the prefix) that call update() when they
+   * change, in addition to the schema's
+   * @returns {string[]}
+   */
+  static get observedAttributes() {
+    return [];
+  }
+
+  constructor({ eventBus, logger, router, mode, persistence }) {
     this.eventBus = eventBus;
     this.logger = logger;
     this.router = router;
+    this.mode = mode || 'production';
+    this.persistence = persistence || statePersistence;
     // Primary storage for element states
     this.elements = new WeakMap();
     // Backward-compat alias for older components expecting `states`
     this.states = this.elements;
+    // States handed out by _init() for mounts still in progress (rolled back if _init throws)
+    this._initializing = new WeakMap();
     this._keys = null;
   }
 
+  /**
+   * Mount an element. If _init() throws, the partial state's cleanup() runs
+   * before the error is rethrown, so no listeners or tracking are left behind.
+   * @param {HTMLElement} element - Element to enhance
+   */
   mount(element) {
     if (this.elements.has(element)) return this.update(element);
-    const state = this._init(element);
-    this.elements.set(element, state);
+
+    try {
+      const state = this._init(element);
+      this.elements.set(element, state);
+    } catch (error) {
+      this._rollbackMount(element);
+      throw error;
+    } finally {
+      this._initializing.delete(element);
+    }
   }
 
-  update(element) {
-    // Override in subclasses for update logic
+  /**
+   * Release whatever a failed _init() had set up
+   * @private
+   */
+  _rollbackMount(element) {
+    try {
+      this._initializing.get(element)?.cleanup?.();
+    } catch (cleanupError) {
+      this.logger?.warn('Cleanup after failed mount threw', { error: cleanupError, element });
+    }
+    this._untrack(element);
+  }
+
+  /**
+   * Called by PageManager when data-<component>-* attributes change on a
+   * mounted element (and by mount() for an element that is already mounted).
+   * The default re-reads `state.config` from the schema; override to apply
+   * the new values.
+   * @param {HTMLElement} element - Mounted element
+   * @param {string[]} [changedAttributes=[]] - Changed attribute names without the data-<component>- prefix
+   */
+  update(element, changedAttributes = []) {
+    const state = this.getState(element);
+    if (state && this.constructor.schema) {
+      state.config = this.getConfig(element);
+    }
   }
 
   unmount(element) {
@@ -122,7 +180,83 @@ export class BaseComponent {
       this._untrack(element);
     };
     this._track(element);
-    return { cleanup, controller };
+
+    const state = { cleanup, controller };
+    this._initializing.set(element, state);
+    if (this.constructor.schema) {
+      state.config = this.getConfig(element);
+    }
+    return state;
+  }
+
+  /**
+   * Parse the element's data-<component>-* attributes against `static schema`
+   * Invalid values fall back to the schema default and, in development mode,
+   * log a warning naming the element and attribute.
+   * @param {HTMLElement} element - Element with data attributes
+   * @returns {Object} Typed configuration object
+   * @example
+   * static get schema() {
+   *   return { sortable: { type: 'boolean', default: true } };
+   * }
+   * // <table data-datatable data-datatable-sortable="false">
+   * this.getConfig(table).sortable; // false
+   */
+  getConfig(element) {
+    const schema = this.constructor.schema || {};
+
+    return parseAttributeSchema(element, this._getSelector(), schema, invalid => {
+      if (this.mode !== 'development') return;
+
+      this.logger?.warn(
+        `Invalid ${invalid.attribute}="${invalid.value}" on <${describeElement(element)}>: ${invalid.error}; using ${JSON.stringify(invalid.fallback)}`,
+        { element, ...invalid }
+      );
+    });
+  }
+
+  /**
+   * Read UI state saved for an element with data-<component>-persist="key"
+   * Storage defaults to localStorage; set data-<component>-persist-storage="session"
+   * for sessionStorage.
+   * @param {HTMLElement} element - Component element
+   * @returns {Object|null} Saved state, or null when not opted in or nothing is stored
+   * @example
+   * // <div data-tabs data-tabs-persist="settings">
+   * const saved = this._restorePersistedState(element); // { activeTab: 'billing' }
+   */
+  _restorePersistedState(element) {
+    const target = this._getPersistTarget(element);
+    return target ? this.persistence.read(target.key, target.storage) : null;
+  }
+
+  /**
+   * Save UI state for an element with data-<component>-persist="key"
+   * No-op when the element has not opted in.
+   * @param {HTMLElement} element - Component element
+   * @param {Object} data - JSON-serialisable state
+   */
+  _persistState(element, data) {
+    const target = this._getPersistTarget(element);
+    if (target) {
+      this.persistence.write(target.key, data, target.storage);
+    }
+  }
+
+  /**
+   * Storage key and type for an element's persisted state
+   * @private
+   * @returns {{key: string, storage: string}|null}
+   */
+  _getPersistTarget(element) {
+    const key = this.getAttr(element, 'persist');
+    if (!key) return null;
+
+    const component = this._getSelector().replace(/^data-/, '');
+    return {
+      key: `${component}:${key}`,
+      storage: this.getAttr(element, 'persist-storage', 'local'),
+    };
   }
 
   // Helper method for getting state
@@ -337,7 +471,9 @@ export class BaseComponent {
    * // Sets: <div data-toggle-duration="300">
    */
   setAttr(element, attr, value) {
-    element.setAttribute(`${this._getSelector()}-${attr}`, String(value));
+    const name = `${this._getSelector()}-${attr}`;
+    this._rememberOwnWrite(element, name, String(value));
+    element.setAttribute(name, String(value));
   }
 
   /**
@@ -363,7 +499,9 @@ export class BaseComponent {
    * // Removes: data-toggle-duration
    */
   removeAttr(element, attr) {
-    element.removeAttribute(`${this._getSelector()}-${attr}`);
+    const name = `${this._getSelector()}-${attr}`;
+    this._rememberOwnWrite(element, name, null);
+    element.removeAttribute(name);
   }
 
   /**
@@ -377,4 +515,28 @@ export class BaseComponent {
   hasAttr(element, attr) {
     return element.hasAttribute(`${this._getSelector()}-${attr}`);
   }
+
+  /**
+   * Whether an attribute still holds the value setAttr()/removeAttr() last gave it,
+   * so PageManager doesn't hand the component's own writes back to update()
+   * @param {HTMLElement} element - Component element
+   * @param {string} attribute - Full attribute name
+   * @returns {boolean}
+   * @private
+   */
+  _isOwnWrite(element, attribute) {
+    const writes = this._ownWrites?.get(element);
+    return Boolean(writes?.has(attribute)) && writes.get(attribute) === element.getAttribute(attribute);
+  }
+
+  /**
+   * @private
+   */
+  _rememberOwnWrite(element, attribute, value) {
+    if (!this._ownWrites) this._ownWrites = new WeakMap();
+
+    const writes = this._ownWrites.get(element) || new Map();
+    writes.set(attribute, value);
+    this._ownWrites.set(element, writes);
+  }
 }
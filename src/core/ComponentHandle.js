@@ -0,0 +1,71 @@
+import { QueuedComponentProxy } from './QueuedComponentProxy.js';
+
+/**
+ * ComponentHandle - Element-bound access to an enhancement component instance
+ *
+ * Enhancement components keep one instance per registration and take the
+ * element as the first argument of their public methods. A handle binds that
+ * element so app code can call methods without reaching into
+ * `pageManager.instances`:
+ *
+ * @example
+ * app.component(tabsElement, 'tabs').activateTab('panel-2');
+ * // Equivalent to: app.pageManager.instances.get('tabs').activateTab(tabsElement, 'panel-2')
+ *
+ * Methods return the real return value once the component is loaded. While the
+ * module is still loading the call goes to the QueuedComponentProxy, which
+ * queues it and returns a promise resolving to the return value instead. Calling a method
+ * on an element whose mount was deferred (see mount strategies) mounts it first.
+ *
+ * Besides methods, a handle exposes `element`, `name` and `instance` (the real
+ * component instance, or null while loading).
+ *
+ * @param {PageManager} pageManager - Page manager owning the instance
+ * @param {Object} config - Component registry configuration
+ * @param {HTMLElement} element - Element the handle is bound to
+ * @returns {Proxy} Component handle
+ */
+export function createComponentHandle(pageManager, config, element) {
+  const invoke = (method, args) => {
+    const instance = pageManager._resolveInstanceFor(config, element);
+
+    // A loading placeholder queues any call (even getState() or update(), which it would
+    // otherwise answer itself); the real instance is checked on replay
+    if (instance instanceof QueuedComponentProxy) {
+      return instance.queueCall(method, [element, ...args]);
+    }
+
+    if (typeof instance?.[method] !== 'function') {
+      throw new TypeError(`Component ${config.name} has no public method "${method}"`);
+    }
+
+    return instance[method](element, ...args);
+  };
+
+  const target = {
+    element,
+    name: config.name,
+  };
+
+  return new Proxy(target, {
+    get(obj, prop) {
+      if (prop === 'instance') {
+        const instance = pageManager.instances.get(config.name);
+        return instance instanceof QueuedComponentProxy ? null : instance || null;
+      }
+
+      if (prop in obj) {
+        return obj[prop];
+      }
+
+      // Keep handles from looking like thenables or leaking private methods
+      if (typeof prop !== 'string' || prop === 'then' || prop.startsWith('_')) {
+        return undefined;
+      }
+
+      return (...args) => invoke(prop, args);
+    },
+  });
+}
+
+export default createComponentHandle;
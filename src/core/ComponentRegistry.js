@@ -2,6 +2,17 @@
  * ComponentRegistry - Core utility for building component registries
  * Provides a fluent API for defining component loader configurations
  * with sensible defaults and path conventions.
+ *
+ * Components registered without a `loader` are imported from
+ * `<basePath><PascalCaseName>[.min]<fileExtension>`, e.g. `data-table` loads
+ * `DataTable.js`. With `validate` on (the dev preset), build() throws if a
+ * `dependsOn` entry is missing or dependencies form a cycle.
+ *
+ * @example
+ * const registry = ComponentRegistry.create('production', { basePath: '/js/components/' })
+ *   .component('tabs', '[data-tabs]') // import('/js/components/Tabs.min.js')
+ *   .component('cart', '[data-cart]', { path: '/js/cart.js', exportName: 'Cart' })
+ *   .build();
  */
 export class ComponentRegistry {
   /**
@@ -11,12 +22,16 @@ export class ComponentRegistry {
    * @param {string} [options.defaultPriority='normal'] - Default priority for components
    * @param {string} [options.fileExtension='.js'] - Default file extension
    * @param {boolean} [options.useMinified=false] - Whether to use .min.js files by default
+   * @param {boolean} [options.validate=false] - Run validate() in build() and throw on errors
+   * @param {Object} [options.logger] - Logger for validation errors and warnings
    */
   constructor(options = {}) {
     this.basePath = options.basePath || '../components/';
     this.defaultPriority = options.defaultPriority || 'normal';
     this.fileExtension = options.fileExtension || '.js';
     this.useMinified = options.useMinified || false;
+    this.validateOnBuild = options.validate || false;
+    this.logger = options.logger || null;
     this.registry = [];
   }
 
@@ -26,29 +41,120 @@ export class ComponentRegistry {
    * @param {string} selector - CSS selector for component elements
    * @param {Object} [options={}] - Component configuration options
    * @param {string} [options.priority] - Component loading priority ('critical', 'normal', 'low')
+   * @param {string} [options.mount='eager'] - When to load and mount each element
+   *   ('eager', 'visible', 'idle', 'interaction' or 'media(<query>)')
    * @param {string[]} [options.dependsOn] - Array of component names this depends on
-   * @param {string} [options.exportName] - Name of the export (defaults to PascalCase of name)
+   * @param {string} [options.exportName] - Name of the export (defaults to the default
+   *   export, then PascalCase of name)
    * @param {string} [options.path] - Custom import path (overrides convention)
-   * @param {string} [options.filename] - Custom filename (overrides convention)
+   * @param {string} [options.filename] - Custom filename within basePath, e.g. 'tabs.bundle.js'
+   *   (overrides convention)
+   * @param {Function} [options.loader] - Custom loader returning the module (overrides
+   *   path, filename and convention)
    * @returns {ComponentRegistry} This instance for chaining
    */
   component(name, selector, options = {}) {
-    if (!options.loader) {
-      throw new Error(`Component '${name}' must provide a loader function`);
-    }
+    const path = options.loader ? null : this.resolvePath(name, options);
 
     const config = {
       name,
       selector,
       priority: options.priority || this.defaultPriority,
+      mount: options.mount || 'eager',
       dependsOn: options.dependsOn,
-      loader: options.loader,
+      loader: this.createLoader(name, path, options),
+      path,
     };
 
     this.registry.push(config);
     return this;
   }
 
+  /**
+   * Check whether a component is registered
+   * @param {string} name - Component name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.registry.some(comp => comp.name === name);
+  }
+
+  /**
+   * Get a registered component configuration
+   * @param {string} name - Component name
+   * @returns {Object|undefined} Component configuration
+   */
+  get(name) {
+    return this.registry.find(comp => comp.name === name);
+  }
+
+  /**
+   * Remove a component from the registry
+   * @param {string} name - Component name
+   * @returns {ComponentRegistry} This instance for chaining
+   */
+  remove(name) {
+    this.registry = this.registry.filter(comp => comp.name !== name);
+    return this;
+  }
+
+  /**
+   * Module path for a component, following the naming convention unless overridden
+   * @param {string} name - Component name
+   * @param {Object} [options={}] - `path` and `filename` overrides
+   * @returns {string} Import path
+   */
+  resolvePath(name, options = {}) {
+    if (options.path) {
+      return options.path;
+    }
+
+    const filename =
+      options.filename ||
+      `${this.toPascalCase(name)}${this.useMinified ? '.min' : ''}${this.fileExtension}`;
+    const basePath = this.basePath.endsWith('/') ? this.basePath : `${this.basePath}/`;
+
+    return `${basePath}${filename}`;
+  }
+
+  /**
+   * Build the loader for a component
+   * The module is returned with the component class as its default export, which
+   * is what PageManager instantiates.
+   * @private
+   * @param {string} name - Component name
+   * @param {string|null} path - Import path (null when a custom loader is given)
+   * @param {Object} options - Component options (`loader`, `exportName`)
+   * @returns {Function} Loader
+   */
+  createLoader(name, path, options) {
+    const { loader, exportName } = options;
+
+    const pickExport = module => {
+      const component = exportName
+        ? module[exportName]
+        : (module.default ?? module[this.toPascalCase(name)]);
+
+      if (!component) {
+        throw new Error(
+          `Component '${name}': module has no ${exportName ? `'${exportName}'` : 'default'} export`
+        );
+      }
+      return component === module.default ? module : { ...module, default: component };
+    };
+
+    if (loader) {
+      if (!exportName) return loader;
+
+      return () => {
+        const result = loader();
+        return result instanceof Promise ? result.then(pickExport) : pickExport(result);
+      };
+    }
+
+    return () => import(/* @vite-ignore */ /* webpackIgnore: true */ path).then(pickExport);
+  }
+
   /**
    * Convert string to PascalCase
    * @private
@@ -64,9 +170,21 @@ export class ComponentRegistry {
 
   /**
    * Get the built registry array
+   * Runs validate() first when the registry was created with `validate: true`.
    * @returns {Array} Component registry configuration
+   * @throws {Error} If validation finds missing or circular dependencies
    */
   build() {
+    if (this.validateOnBuild) {
+      const { valid, errors, warnings } = this.validate();
+
+      warnings.forEach(warning => this.logger?.warn(warning));
+      if (!valid) {
+        this.logger?.error('Invalid registry', { errors });
+        throw new Error(`[ComponentRegistry] Invalid registry:\n- ${errors.join('\n- ')}`);
+      }
+    }
+
     return [...this.registry];
   }
 
@@ -200,23 +318,28 @@ export class ComponentRegistry {
       defaultPriority: this.defaultPriority,
       fileExtension: this.fileExtension,
       useMinified: this.useMinified,
+      validate: this.validateOnBuild,
+      logger: this.logger,
       ...options,
     });
   }
 
   /**
    * Static factory method for creating a registry with common configurations
-   * @param {'dev'|'prod'|'custom'} preset - Configuration preset
+   * @param {'dev'|'development'|'production'|'custom'} preset - Configuration preset
    * @param {Object} [options={}] - Additional options
    * @returns {ComponentRegistry} Configured registry instance
    */
   static create(preset = 'dev', options = {}) {
+    const dev = {
+      basePath: '/dist/esm/components/',
+      useMinified: false,
+      fileExtension: '.js',
+      validate: true,
+    };
     const presets = {
-      dev: {
-        basePath: '/dist/esm/components/',
-        useMinified: false,
-        fileExtension: '.js',
-      },
+      dev,
+      development: dev,
       production: {
         basePath: '/dist/esm/components/',
         useMinified: true,
@@ -1,74 +1,329 @@
+import { LOG_LEVELS, consoleTransport } from './logger-transports.js';
+
+/**
+ * DevLogger - Namespaced logger with pluggable transports
+ *
+ * Each call builds a structured record `{ level, namespace, timestamp, message, data }`
+ * and hands it to every transport (console by default; see logger-transports.js).
+ * `debug`, `log`, `info` and `group` only produce records when the logger is
+ * enabled for its namespace; `warn` and `error` always do unless the logger is silent.
+ *
+ * A namespace filter enables verbose output for some namespaces only, using
+ * comma-separated patterns with `*` wildcards and `-` exclusions, e.g.
+ * `router*,page*,-page:scroll`. Loggers created with child() or
+ * forNamespace() share the parent's settings and transports.
+ *
+ * @example
+ * const logger = new DevLogger({
+ *   namespace: 'app',
+ *   filter: 'router*,page*',
+ *   transports: [consoleTransport(), memoryTransport()],
+ * });
+ * logger.forNamespace('router').info('Navigating', { url }); // written
+ * logger.forNamespace('component:tabs').info('Mounted'); // filtered out
+ */
 export class DevLogger {
-  constructor(namespace, enabled = false, silent = false) {
-    this.namespace = namespace;
-    this.enabled = enabled;
-    this.silent = silent;
+  /**
+   * Create a new DevLogger
+   * @param {string|Object} [namespaceOrOptions] - Namespace, or options:
+   * @param {string} [namespaceOrOptions.namespace] - Namespace (`prefix` is accepted as an alias)
+   * @param {string|string[]} [namespaceOrOptions.filter] - Namespace patterns enabling verbose output
+   * @param {Array<Object|Function>} [namespaceOrOptions.transports] - Defaults to [consoleTransport()]
+   * @param {string} [namespaceOrOptions.level='debug'] - Minimum level for every transport
+   * @param {boolean} [enabled=false] - Enable debug/log/info/group output
+   * @param {boolean} [silent=false] - Suppress all output, including warn and error
+   */
+  constructor(namespaceOrOptions = {}, enabled = false, silent = false) {
+    const options =
+      typeof namespaceOrOptions === 'string'
+        ? { namespace: namespaceOrOptions }
+        : namespaceOrOptions;
+
+    this.namespace = options.namespace || options.prefix || 'parallelogram';
+    this.settings = options.settings || {
+      enabled: Boolean(enabled),
+      silent: Boolean(silent),
+      level: options.level || 'debug',
+      filter: parseNamespaceFilter(options.filter),
+      transports: options.transports || [consoleTransport()],
+    };
+  }
+
+  get enabled() {
+    return this.settings.enabled;
+  }
+
+  set enabled(enabled) {
+    this.settings.enabled = Boolean(enabled);
+  }
+
+  get silent() {
+    return this.settings.silent;
+  }
+
+  set silent(silent) {
+    this.settings.silent = Boolean(silent);
   }
 
   setEnabled(enabled) {
-    this.enabled = Boolean(enabled);
+    this.enabled = enabled;
   }
 
   setSilent(silent) {
-    this.silent = Boolean(silent);
+    this.silent = silent;
+  }
+
+  /**
+   * Enable verbose output for matching namespaces only
+   * Setting a filter also enables the logger; pass null to clear it.
+   * @param {string|string[]|null} patterns - e.g. 'router*,page*'
+   */
+  setFilter(patterns) {
+    this.settings.filter = parseNamespaceFilter(patterns);
+    if (this.settings.filter) {
+      this.settings.enabled = true;
+    }
+  }
+
+  /**
+   * Add a transport to this logger and every logger sharing its settings
+   * @param {Object|Function} transport
+   * @returns {Function} Removes the transport again
+   */
+  addTransport(transport) {
+    this.settings.transports.push(transport);
+    return () => this.removeTransport(transport);
   }
 
-  _getPrefix(level) {
-    return `${new Date().toISOString()} [${this.namespace}] ${level}:`;
+  /**
+   * @param {Object|Function} transport
+   */
+  removeTransport(transport) {
+    const index = this.settings.transports.indexOf(transport);
+    if (index !== -1) {
+      this.settings.transports.splice(index, 1);
+    }
+  }
+
+  /**
+   * Whether debug/log/info output is on for this logger's namespace
+   * @returns {boolean}
+   */
+  isEnabled() {
+    const { enabled, silent, filter } = this.settings;
+    if (silent || !enabled) return false;
+    return filter ? matchesNamespaceFilter(filter, this.namespace) : true;
   }
 
   debug(...args) {
-    if (this.silent || !this.enabled) return;
-    console.debug(this._getPrefix('DEBUG'), ...args);
+    if (!this.isEnabled()) return;
+    this._write('debug', args);
   }
 
   log(...args) {
-    if (this.silent || !this.enabled) return;
-    console.log(this._getPrefix('LOG'), ...args);
+    if (!this.isEnabled()) return;
+    this._write('log', args);
   }
 
   info(...args) {
-    if (this.silent || !this.enabled) return;
-    console.info(this._getPrefix('INFO'), ...args);
+    if (!this.isEnabled()) return;
+    this._write('info', args);
   }
 
   warn(...args) {
     if (this.silent) return;
-    console.warn(this._getPrefix('WARN'), ...args);
+    this._write('warn', args);
   }
 
   error(...args) {
     if (this.silent) return;
-    console.error(this._getPrefix('ERROR'), ...args);
+    this._write('error', args);
   }
 
+  /**
+   * Logger for a sub-namespace (`<namespace>:<subNamespace>`) sharing these settings
+   * @param {string} subNamespace
+   * @returns {DevLogger}
+   */
   child(subNamespace) {
-    return new DevLogger(`${this.namespace}:${subNamespace}`, this.enabled, this.silent);
+    return this.forNamespace(`${this.namespace}:${subNamespace}`);
+  }
+
+  /**
+   * Logger for another namespace sharing these settings and transports
+   * @param {string} namespace
+   * @returns {DevLogger}
+   */
+  forNamespace(namespace) {
+    return new DevLogger({ namespace, settings: this.settings });
   }
 
   group(label, data) {
-    if (this.silent || !this.enabled || !console.groupCollapsed) return;
+    if (!this.isEnabled()) return;
+
+    const record = this._createRecord('debug', [label, data]);
+    this._dispatch(record, transport =>
+      transport.group ? transport.group(record) : this._deliver(transport, record)
+    );
+  }
 
-    /* Open the group with just the label */
-    console.groupCollapsed(`[${this.namespace}] ${label}`);
+  groupEnd() {
+    if (!this.isEnabled()) return;
+    this._dispatch(null, transport => transport.groupEnd?.());
+  }
+
+  /**
+   * Send every transport's queued records now
+   */
+  flush() {
+    this._dispatch(null, transport => transport.flush?.());
+  }
 
-    /* Log data separately inside the group if provided */
-    if (data && typeof data === 'object') {
-      console.log('Details:', data);
+  /**
+   * @private
+   */
+  _write(level, args) {
+    const record = this._createRecord(level, args);
+    this._dispatch(record, transport => this._deliver(transport, record));
+  }
+
+  /**
+   * Build a structured record; the raw arguments ride along (non-enumerable) for the console
+   * @private
+   */
+  _createRecord(level, args) {
+    const [first, ...rest] = args;
+    const hasMessage = typeof first === 'string';
+    const extra = hasMessage ? rest : args;
+    // group(label) passes an undefined data argument
+    const trimmed = extra[extra.length - 1] === undefined ? extra.slice(0, -1) : extra;
+
+    const record = {
+      level,
+      namespace: this.namespace,
+      timestamp: Date.now(),
+      message: hasMessage ? first : undefined,
+      data: trimmed.length > 1 ? trimmed : trimmed[0],
+    };
+    Object.defineProperty(record, 'args', { value: trimmed });
+    return record;
+  }
+
+  /**
+   * Call fn for each transport whose level admits the record
+   * @private
+   */
+  _dispatch(record, fn) {
+    const minimum = LOG_LEVELS[this.settings.level] ?? 0;
+
+    for (const transport of this.settings.transports) {
+      if (record) {
+        const threshold = Math.max(minimum, LOG_LEVELS[transport.level] ?? 0);
+        if (LOG_LEVELS[record.level] < threshold) continue;
+      }
+
+      try {
+        fn(transport);
+      } catch {
+        // A broken transport must not take the others (or the caller) down
+      }
     }
   }
-  groupEnd() {
-    if (this.silent || !this.enabled || !console.groupEnd) return;
-    console.groupEnd();
+
+  /**
+   * @private
+   */
+  _deliver(transport, record) {
+    if (typeof transport === 'function') {
+      transport(record);
+    } else {
+      transport.log(record);
+    }
   }
 }
 
-export function createLogger(namespace, forceEnabled) {
+/**
+ * Parse namespace patterns such as 'router*,page*,-page:scroll'
+ * @param {string|string[]|null} patterns - Comma/space separated string or array
+ * @returns {{include: RegExp[], exclude: RegExp[]}|null} Null when there are no patterns
+ */
+export function parseNamespaceFilter(patterns) {
+  if (!patterns || patterns === true) return null;
+
+  const list = Array.isArray(patterns) ? patterns : String(patterns).split(/[\s,]+/);
+  const patternList = list.filter(Boolean);
+  if (patternList.length === 0) return null;
+
+  const toRegExp = pattern =>
+    new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*?')}$`);
+
+  const filter = { include: [], exclude: [] };
+  for (const pattern of patternList) {
+    if (pattern.startsWith('-')) {
+      filter.exclude.push(toRegExp(pattern.slice(1)));
+    } else {
+      filter.include.push(toRegExp(pattern));
+    }
+  }
+  return filter;
+}
+
+/**
+ * Whether a namespace passes a parsed filter (exclusions win)
+ * @param {{include: RegExp[], exclude: RegExp[]}} filter
+ * @param {string} namespace
+ * @returns {boolean}
+ */
+export function matchesNamespaceFilter(filter, namespace) {
+  if (filter.exclude.some(pattern => pattern.test(namespace))) return false;
+  return filter.include.length === 0 || filter.include.some(pattern => pattern.test(namespace));
+}
+
+/**
+ * Read debug settings from `?debug=` or localStorage `app:debug`
+ * `1` / `true` / `*` enable everything; anything else is a namespace filter.
+ * @returns {{enabled: boolean, filter: string|null}}
+ */
+export function readDebugSetting() {
+  let value = null;
+
+  try {
+    if (typeof window !== 'undefined' && window.location?.search) {
+      value = new URLSearchParams(window.location.search).get('debug');
+    }
+    if (value === null && typeof localStorage !== 'undefined') {
+      value = localStorage.getItem('app:debug');
+    }
+  } catch {
+    // Storage can be blocked; treat as not set
+  }
+
+  if (!value || value === '0' || value === 'false') {
+    return { enabled: false, filter: null };
+  }
+  if (value === '1' || value === 'true' || value === '*') {
+    return { enabled: true, filter: null };
+  }
+  return { enabled: true, filter: value };
+}
+
+/**
+ * Create a logger, enabled from the query string / localStorage unless forced
+ * @param {string} namespace - Logger namespace
+ * @param {boolean} [forceEnabled] - Skip the debug setting lookup
+ * @param {Object} [options] - Extra DevLogger options (transports, level, filter)
+ * @returns {DevLogger}
+ *
+ * @example
+ * // https://example.com/?debug=router*,page*
+ * const logger = createLogger('router'); // enabled
+ * createLogger('component:tabs').info('hidden'); // filtered out
+ */
+export function createLogger(namespace, forceEnabled, options = {}) {
   if (forceEnabled !== undefined) {
-    return new DevLogger(namespace, forceEnabled);
+    return new DevLogger({ ...options, namespace }, forceEnabled);
   }
-  const isDebugMode =
-    (typeof window !== 'undefined' && window.location?.search?.includes('debug=1')) ||
-    (typeof localStorage !== 'undefined' && localStorage.getItem('app:debug') === '1');
-  return new DevLogger(namespace, isDebugMode);
+
+  const { enabled, filter } = readDebugSetting();
+  return new DevLogger({ filter, ...options, namespace }, enabled);
 }
@@ -0,0 +1,116 @@
+/**
+ * HistorySnapshotCache - Page snapshots per session history entry
+ *
+ * Backs instant back/forward in PageManager. Each snapshot is keyed by the
+ * `key` RouterManager stores in `history.state` and holds the HTML of the
+ * entry's fragments, its title and meta tags, and the scroll position when it
+ * was left. The cache is bounded by entry count and by an estimate of the
+ * memory the HTML strings take (two bytes per character); the least recently
+ * used snapshots are dropped first.
+ *
+ * @example
+ * const snapshots = new HistorySnapshotCache({ maxEntries: 10, maxBytes: 2 * 1024 * 1024 });
+ * snapshots.set(history.state.key, { url: location.href, html, viewTargets: ['main'] });
+ * snapshots.updateScroll(history.state.key, { x: scrollX, y: scrollY });
+ * snapshots.get(event.state.key); // { url, html, viewTargets, scroll, size, timestamp }
+ */
+export class HistorySnapshotCache {
+  /**
+   * Create a new HistorySnapshotCache
+   * @param {Object} [options={}]
+   * @param {number} [options.maxEntries=10] - Snapshots kept
+   * @param {number} [options.maxBytes=2097152] - Approximate memory budget for all snapshots
+   */
+  constructor({ maxEntries = 10, maxBytes = 2 * 1024 * 1024 } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = new Map();
+    this.bytes = 0;
+  }
+
+  /**
+   * Store (or replace) the snapshot for a history entry
+   * Snapshots larger than the whole budget are not stored.
+   * @param {string} key - history.state key
+   * @param {Object} snapshot - `{ url, html, viewTargets }`; `scroll` is kept from an earlier snapshot
+   * @returns {boolean} Whether the snapshot was stored
+   */
+  set(key, snapshot) {
+    if (!key) return false;
+
+    const previous = this.entries.get(key);
+    this.delete(key);
+
+    const size = snapshot.html.length * 2;
+    if (size > this.maxBytes) return false;
+
+    this.entries.set(key, {
+      scroll: previous?.scroll ?? null,
+      ...snapshot,
+      size,
+      timestamp: Date.now(),
+    });
+    this.bytes += size;
+    this._evict();
+    return true;
+  }
+
+  /**
+   * Snapshot for a history entry, marked as recently used
+   * @param {string} key - history.state key
+   * @returns {Object|null}
+   */
+  get(key) {
+    const snapshot = this.entries.get(key);
+    if (!snapshot) return null;
+
+    this.entries.delete(key);
+    this.entries.set(key, snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Remember where an entry was scrolled to when it was left
+   * @param {string} key - history.state key
+   * @param {{x: number, y: number}} scroll
+   */
+  updateScroll(key, scroll) {
+    const snapshot = this.entries.get(key);
+    if (snapshot) {
+      snapshot.scroll = scroll;
+    }
+  }
+
+  /**
+   * @param {string} key - history.state key
+   */
+  delete(key) {
+    const snapshot = this.entries.get(key);
+    if (snapshot) {
+      this.bytes -= snapshot.size;
+      this.entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Drop least recently used snapshots until within both limits
+   * @private
+   */
+  _evict() {
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.delete(key);
+    }
+  }
+}
+
+export default HistorySnapshotCache;
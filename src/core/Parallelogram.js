@@ -35,6 +35,8 @@
 import { ComponentRegistry } from './ComponentRegistry.js';
 import { DevLogger } from './DevLogger.js';
 import { WebComponentLoader } from './WebComponentLoader.js';
+import { PluginManager } from './PluginManager.js';
+import { PerformanceMonitor } from './PerformanceMonitor.js';
 import { EventManager } from '../managers/EventManager.js';
 import { RouterManager } from '../managers/RouterManager.js';
 import { PageManager } from '../managers/PageManager.js';
@@ -44,11 +46,23 @@ export class Parallelogram {
    * Create a new Parallelogram instance
    * @param {Object} config - Configuration options
    * @param {string} [config.mode='production'] - Framework mode ('development' or 'production')
-   * @param {boolean} [config.debug=false] - Enable debug/log/info/group output. Default false.
+   * @param {boolean|string} [config.debug=false] - Enable debug/log/info/group output. Default false.
+   *   A string such as 'router*,page*' enables it for matching logger namespaces only.
    * @param {boolean} [config.silent=false] - Suppress ALL logger output, including warn and error.
    *   Use in production when console pollution is unacceptable. Overrides `debug`.
+   * @param {Object} [config.logger] - Logger options: `transports` (default console) and `level`
+   * @param {Object} [config.eventBus] - EventManager options: `replay` (default 0; the number
+   *   of recent events kept for late subscribers) and `broadcast`, a list of events to share
+   *   with other tabs
+   * @param {Object} [config.registry] - ComponentRegistry options for components added without
+   *   a loader, e.g. `{ basePath: '/js/components/' }`
    * @param {Object} [config.router] - Router configuration (enables router if provided)
    * @param {Object} [config.pageManager] - PageManager configuration
+   * @param {boolean|Object} [config.stateDebugger] - In-page state debugger options (see
+   *   StateDebugger); enabled by default in development mode, `false` turns it off. The
+   *   module loads on demand, so `app.stateDebugger` is null until it arrives
+   * @param {boolean|Object} [config.performance=false] - Record User Timing spans and emit
+   *   `metrics:*` events; pass `{ vitals: false }` to skip web vitals collection
    * @returns {Parallelogram}
    */
   static create(config = {}) {
@@ -60,8 +74,13 @@ export class Parallelogram {
       mode: config.mode || 'production',
       debug: config.debug || false,
       silent: config.silent || false,
+      logger: config.logger || {},
+      eventBus: config.eventBus || {},
+      registry: config.registry || {},
       router: config.router || null,
       pageManager: config.pageManager || {},
+      stateDebugger: config.stateDebugger ?? true,
+      performance: config.performance || false,
     };
 
     // Core instances (will be initialized in init())
@@ -70,15 +89,60 @@ export class Parallelogram {
     this.router = null;
     this.pageManager = null;
     this.componentRegistry = null;
+    this.registryBuilder = null;
     this.webComponentLoader = null;
+    this.stateDebugger = null;
+    this.performanceMonitor = null;
 
     // Component registration helper
     this.components = new ComponentRegistrationHelper(this);
 
+    // Plugins registered through use()
+    this.plugins = new PluginManager(this);
+
+    // Handlers registered through onError()
+    this._errorHandlers = new Set();
+
     // Track initialization state
     this._initialized = false;
   }
 
+  /**
+   * Register a plugin
+   * Plugins registered after init() are installed immediately.
+   * @param {Object|Function} plugin - Plugin object or factory function (see PluginManager)
+   * @param {Object} [options={}] - Plugin options
+   * @returns {Parallelogram} This instance for chaining
+   *
+   * @example
+   * app.use({
+   *   name: 'error-reporting',
+   *   afterInit({ eventBus }) {
+   *     eventBus.on('page:component-load-error', report);
+   *   },
+   * });
+   */
+  use(plugin, options = {}) {
+    this.plugins.register(plugin, options);
+    return this;
+  }
+
+  /**
+   * Register a handler for component errors (the component:error event)
+   * Can be called before or after init().
+   * @param {Function} handler - Receives { componentName, element, elementPath, phase, error }
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * app.onError(({ componentName, elementPath, phase, error }) => {
+   *   Sentry.captureException(error, { tags: { componentName, phase }, extra: { elementPath } });
+   * });
+   */
+  onError(handler) {
+    this._errorHandlers.add(handler);
+    return () => this._errorHandlers.delete(handler);
+  }
+
   /**
    * Smart initialization - runs immediately if DOM ready, otherwise waits
    * Handles async/defer script loading correctly
@@ -116,42 +180,86 @@ export class Parallelogram {
     }
 
     // Create logger
-    this.logger = new DevLogger({}, this.config.debug, this.config.silent);
+    this.logger = new DevLogger(
+      {
+        namespace: 'parallelogram',
+        filter: typeof this.config.debug === 'string' ? this.config.debug : null,
+        ...this.config.logger,
+      },
+      Boolean(this.config.debug),
+      this.config.silent
+    );
     this.logger?.info('Parallelogram initializing', {
       mode: this.config.mode,
       debug: this.config.debug,
       routerEnabled: !!this.config.router,
     });
 
-    // Create event bus
-    this.eventBus = new EventManager();
-
     // Create component registry for enhancement components
-    const registry = ComponentRegistry.create(this.config.mode);
+    // Development mode validates dependsOn (missing or circular) and throws here, before
+    // anything has been created that destroy() would need to undo
+    this.registryBuilder = ComponentRegistry.create(this.config.mode, {
+      logger: this.logger.forNamespace('registry'),
+      ...this.config.registry,
+    });
     this.components._configs.enhancementComponents.forEach(
       ({ name, selector, options }) => {
-        registry.component(name, selector, options);
+        this.registryBuilder.component(name, selector, options);
       }
     );
-    this.componentRegistry = registry.build();
+    this.componentRegistry = this.registryBuilder.build();
+
+    // Create event bus
+    this.eventBus = new EventManager({
+      ...this.config.eventBus,
+      logger: this.logger.forNamespace('events'),
+    });
+    this.eventBus.on('component:error', payload => this._notifyErrorHandlers(payload));
+
+    // Start recording events before any manager emits, so the debugger sees them all
+    if (this.config.mode === 'development' && this.config.stateDebugger) {
+      this._loadStateDebugger();
+    }
+
+    // Collect web vitals from the start so buffered entries are attributed to the initial load
+    const performanceOptions =
+      typeof this.config.performance === 'object' ? this.config.performance : {};
+    if (this.config.performance && performanceOptions.vitals !== false) {
+      this.performanceMonitor = new PerformanceMonitor({
+        eventBus: this.eventBus,
+        logger: this.logger.forNamespace('metrics'),
+        options: performanceOptions,
+      }).start();
+    }
 
     // Create router if configured
     if (this.config.router) {
       this.router = new RouterManager({
         eventBus: this.eventBus,
-        logger: this.logger,
-        options: this.config.router,
+        logger: this.logger.forNamespace('router'),
+        options: {
+          trackPerformance: Boolean(this.config.performance),
+          ...this.config.router,
+        },
       });
     }
 
+    // Resolve plugin order and let plugins hook in before anything mounts
+    this.plugins.install(this.eventBus);
+    this.plugins.run('beforeInit');
+
     // Create page manager
     const pageManagerConfig = {
       containerSelector: this.config.pageManager.containerSelector || 'body',
       registry: this.componentRegistry,
       eventBus: this.eventBus,
-      logger: this.logger,
+      logger: this.logger.forNamespace('page'),
       router: this.router,
-      options: this.config.pageManager,
+      mode: this.config.mode,
+      options: {
+        trackPerformance: Boolean(this.config.performance),
+        ...this.config.pageManager,
+      },
     };
     this.pageManager = new PageManager(pageManagerConfig);
 
@@ -180,6 +288,7 @@ export class Parallelogram {
     });
 
     this._initialized = true;
+    this.plugins.run('afterInit');
     this.logger?.info('Parallelogram initialized successfully');
 
     return this;
@@ -195,6 +304,21 @@ export class Parallelogram {
 
     this.logger?.info('Parallelogram destroying');
 
+    // Tear down plugins first so they can still reach every service
+    this.plugins.destroy();
+
+    // Report the last navigation's vitals and stop observing
+    if (this.performanceMonitor) {
+      this.performanceMonitor.destroy();
+      this.performanceMonitor = null;
+    }
+
+    // Remove the state debugger overlay
+    if (this.stateDebugger) {
+      this.stateDebugger.destroy();
+      this.stateDebugger = null;
+    }
+
     // Clean up web component loader
     if (this.webComponentLoader) {
       this.webComponentLoader.destroy();
@@ -215,9 +339,106 @@ export class Parallelogram {
       this.eventBus.clear();
     }
 
+    // Send anything transports still have queued
+    this.logger?.flush();
+
     this._initialized = false;
   }
 
+  /**
+   * Get a handle for the component mounted on an element
+   * The handle binds the element as the first argument of the component's
+   * public methods, and queues calls while the module is still loading.
+   * @param {HTMLElement} element - Component element
+   * @param {string} [name] - Component name (e.g. 'tabs'); defaults to the first match
+   * @returns {Proxy|null} Component handle, or null if no component matches
+   *
+   * @example
+   * app.getComponent(document.querySelector('#product-tabs'), 'tabs').activateTab('panel-2');
+   */
+  getComponent(element, name) {
+    return this.pageManager?.getComponent(element, name) || null;
+  }
+
+  /**
+   * Alias of getComponent()
+   * @param {HTMLElement} element - Component element
+   * @param {string} [name] - Component name
+   * @returns {Proxy|null} Component handle
+   */
+  component(element, name) {
+    return this.getComponent(element, name);
+  }
+
+  /**
+   * Load the state debugger module on demand and attach it once it arrives
+   * Events emitted while the module loads are buffered and replayed into the
+   * debugger, so its timeline still starts at init. Production builds never
+   * reach this import.
+   * @private
+   */
+  _loadStateDebugger() {
+    const options = typeof this.config.stateDebugger === 'object' ? this.config.stateDebugger : {};
+    const buffered = [];
+    const stopBuffering = this.eventBus.onAny((event, payload) => {
+      buffered.push([event, payload]);
+    });
+
+    import('./StateDebugger.js')
+      .then(({ StateDebugger }) => {
+        stopBuffering();
+        // Init threw, or the app was destroyed while the module loaded
+        if (!this._initialized) return;
+
+        this.stateDebugger = new StateDebugger(this, options);
+        for (const [event, payload] of buffered) {
+          this.stateDebugger._record(event, payload);
+        }
+        this.stateDebugger.attach();
+      })
+      .catch(error => {
+        stopBuffering();
+        this.logger?.error('State debugger failed to load', { error });
+      });
+  }
+
+  /**
+   * Forward a component:error payload to the onError() handlers
+   * @private
+   */
+  _notifyErrorHandlers(payload) {
+    for (const handler of this._errorHandlers) {
+      try {
+        handler(payload);
+      } catch (error) {
+        this.logger?.error('onError handler threw', { error });
+      }
+    }
+  }
+
+  /**
+   * Register an enhancement component on a running app and mount it immediately
+   * @private
+   */
+  _registerEnhancementComponent({ name, selector, options }) {
+    if (this.registryBuilder.has(name)) {
+      this.logger?.warn(`Component '${name}' is already registered, ignoring`, { selector });
+      return;
+    }
+
+    this.registryBuilder.component(name, selector, options);
+    this.pageManager.register(this.registryBuilder.get(name));
+  }
+
+  /**
+   * Unregister an enhancement component from a running app, unmounting its elements
+   * @private
+   */
+  _unregisterEnhancementComponent(name) {
+    this.registryBuilder.remove(name);
+    this.pageManager.unregister(name);
+  }
+
   /**
    * Check if framework is initialized
    * @returns {boolean}
@@ -242,8 +463,11 @@ class ComponentRegistrationHelper {
 
   /**
    * Add a component (auto-detects type based on selector pattern)
+   * Components added after init()/run() are registered immediately: the live
+   * DOM is scanned and matching elements are mounted.
    * @param {string} nameOrSelector - Component name (web component) or selector (enhancement)
-   * @param {Function|Object} loaderOrOptions - Loader function or options object
+   * @param {Function|Object} [loaderOrOptions] - Loader function or options object. Enhancement
+   *   components without a loader are imported by convention (see ComponentRegistry)
    * @param {Object} [options] - Additional options (only for enhancement components)
    * @returns {ComponentRegistrationHelper}
    *
@@ -261,16 +485,35 @@ class ComponentRegistrationHelper {
    *   loader: () => import('./Toggle'),
    *   priority: 'critical'
    * })
+   *
+   * @example
+   * // Defer loading and mounting until the element scrolls into view
+   * .add('[data-datatable]', {
+   *   loader: () => import('./DataTable'),
+   *   mount: 'visible'
+   * })
+   *
+   * @example
+   * // No loader: imports `${registry.basePath}Tabs.js` by convention
+   * .add('[data-tabs]')
    */
-  add(nameOrSelector, loaderOrOptions, options = {}) {
+  add(nameOrSelector, loaderOrOptions = {}, options = {}) {
     const isWebComponent = this._detectWebComponent(nameOrSelector);
 
     if (isWebComponent) {
-      // Web component: nameOrSelector is tag name, loaderOrOptions is loader function
+      // Web component: nameOrSelector is tag name, loaderOrOptions is loader function (or { loader })
+      const loader =
+        typeof loaderOrOptions === 'function' ? loaderOrOptions : loaderOrOptions.loader;
+
       this._configs.webComponents.push({
         name: nameOrSelector,
-        loader: loaderOrOptions,
+        loader,
       });
+
+      if (this.parallelogram.isInitialized) {
+        this.parallelogram.webComponentLoader.register(nameOrSelector, loader);
+        this.parallelogram.webComponentLoader.scanAndLoad();
+      }
     } else {
       // Enhancement component: nameOrSelector is selector
       const loader =
@@ -282,19 +525,79 @@ class ComponentRegistrationHelper {
           ? options
           : { ...loaderOrOptions, ...options };
 
-      this._configs.enhancementComponents.push({
+      const entry = {
         name: this._generateComponentName(nameOrSelector),
         selector: nameOrSelector,
         options: {
           ...componentOptions,
           loader,
         },
-      });
+      };
+
+      this._configs.enhancementComponents.push(entry);
+
+      if (this.parallelogram.isInitialized) {
+        this.parallelogram._registerEnhancementComponent(entry);
+      }
     }
 
     return this; // Chainable
   }
 
+  /**
+   * Remove a previously added component
+   * On a running app, enhancement components are unmounted from every element
+   * and their instance is dropped; web components stop being auto-loaded
+   * (already defined custom elements cannot be undefined).
+   * @param {string} nameOrSelector - Selector or name used with add(), or generated component name
+   * @returns {ComponentRegistrationHelper}
+   *
+   * @example
+   * app.components.remove('[data-cms-widget]');
+   */
+  remove(nameOrSelector) {
+    const entries = this._configs.enhancementComponents.filter(
+      entry => entry.selector === nameOrSelector || entry.name === nameOrSelector
+    );
+
+    if (entries.length > 0) {
+      this._configs.enhancementComponents = this._configs.enhancementComponents.filter(
+        entry => !entries.includes(entry)
+      );
+
+      if (this.parallelogram.isInitialized) {
+        new Set(entries.map(entry => entry.name)).forEach(name => {
+          this.parallelogram._unregisterEnhancementComponent(name);
+        });
+      }
+
+      return this;
+    }
+
+    this._configs.webComponents = this._configs.webComponents.filter(
+      entry => entry.name !== nameOrSelector
+    );
+
+    if (this.parallelogram.isInitialized) {
+      this.parallelogram.webComponentLoader.unregister(nameOrSelector);
+    }
+
+    return this;
+  }
+
+  /**
+   * Get a handle for the component mounted on an element (see Parallelogram#getComponent)
+   * @param {HTMLElement} element - Component element
+   * @param {string} [name] - Component name; defaults to the first match
+   * @returns {Proxy|null} Component handle
+   *
+   * @example
+   * app.components.of(tableElement, 'datatable').sort('price', 'desc');
+   */
+  of(element, name) {
+    return this.parallelogram.getComponent(element, name);
+  }
+
   /**
    * Detect if a selector is a web component (custom element tag)
    * @private
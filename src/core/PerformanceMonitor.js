@@ -0,0 +1,290 @@
+/**
+ * PerformanceMonitor - Core Web Vitals for hard and soft (router) navigations
+ *
+ * Collects LCP, CLS and INP with PerformanceObserver and emits them on the
+ * event bus as `metrics:lcp`, `metrics:cls` and `metrics:inp`. Every report
+ * carries the URL, a navigation id and whether the navigation was the initial
+ * page load ('hard') or a router fragment swap ('soft').
+ *
+ * CLS and INP are tracked per navigation: when the router starts a new
+ * navigation (or the user goes back/forward) the values for the previous URL
+ * are reported and collection restarts for the new one. Values are also
+ * reported when the page is hidden, since that may be the last chance to send
+ * them. Browsers only report LCP for the initial load, so soft navigations
+ * get CLS and INP only.
+ *
+ * @example
+ * const app = Parallelogram.create({ router: {}, performance: true });
+ * app.run();
+ * app.eventBus.on('metrics:inp', ({ value, rating, url, navigationType }) => {
+ *   navigator.sendBeacon('/rum', JSON.stringify({ metric: 'INP', value, rating, url, navigationType }));
+ * });
+ */
+
+/**
+ * Good / needs-improvement upper bounds per metric
+ */
+const THRESHOLDS = {
+  lcp: [2500, 4000],
+  cls: [0.1, 0.25],
+  inp: [200, 500],
+};
+
+export class PerformanceMonitor {
+  /**
+   * Create a new PerformanceMonitor
+   * @param {Object} config
+   * @param {Object} config.eventBus - Bus to emit metrics:* events on
+   * @param {Object} [config.logger] - Logger
+   * @param {Object} [config.options={}]
+   * @param {number} [config.options.durationThreshold=40] - Minimum event duration observed for INP (ms)
+   */
+  constructor({ eventBus, logger = null, options = {} }) {
+    this.eventBus = eventBus;
+    this.logger = logger;
+    this.options = {
+      durationThreshold: 40,
+      ...options,
+    };
+
+    this.observers = [];
+    this.unsubscribers = [];
+    this.navigation = null;
+    this.initialUrl = null;
+    this.lcp = null;
+    this.lcpReported = false;
+
+    this._onVisibilityChange = this._onVisibilityChange.bind(this);
+    this._finalizeLcp = this._finalizeLcp.bind(this);
+  }
+
+  /**
+   * Start observing
+   * @returns {PerformanceMonitor} This monitor for chaining
+   */
+  start() {
+    if (typeof PerformanceObserver === 'undefined') {
+      this.logger?.info('PerformanceObserver unavailable; web vitals disabled');
+      return this;
+    }
+
+    this.initialUrl = location.href;
+    this._startNavigation('hard', this.initialUrl);
+
+    this._observe('largest-contentful-paint', entries => {
+      if (!this.lcpReported) this.lcp = entries[entries.length - 1];
+    });
+    this._observe('layout-shift', entries => entries.forEach(entry => this._addLayoutShift(entry)));
+    this._observe('event', entries => entries.forEach(entry => this._addInteraction(entry)), {
+      durationThreshold: this.options.durationThreshold,
+    });
+    this._observe('first-input', entries => entries.forEach(entry => this._addInteraction(entry)));
+
+    // LCP stops being updated after the first input, so report it then
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, this._finalizeLcp, { once: true, capture: true });
+    });
+    document.addEventListener('visibilitychange', this._onVisibilityChange);
+
+    this.unsubscribers.push(
+      this.eventBus.on('router:navigate-start', ({ url }) => this._softNavigation(url)),
+      this.eventBus.on('router:popstate', ({ url }) => this._softNavigation(url))
+    );
+
+    return this;
+  }
+
+  /**
+   * Report the current navigation's values and stop observing
+   */
+  destroy() {
+    this._reportNavigation();
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.removeEventListener(type, this._finalizeLcp, { capture: true });
+    });
+    document.removeEventListener('visibilitychange', this._onVisibilityChange);
+  }
+
+  /**
+   * Observe an entry type, ignoring types the browser doesn't support
+   * @private
+   */
+  _observe(type, callback, options = {}) {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
+
+    try {
+      const observer = new PerformanceObserver(list => callback(list.getEntries()));
+      observer.observe({ type, buffered: true, ...options });
+      this.observers.push(observer);
+    } catch (error) {
+      this.logger?.warn(`Could not observe ${type} entries`, { error });
+    }
+  }
+
+  /**
+   * Begin collecting CLS and INP for a navigation
+   * @private
+   */
+  _startNavigation(type, url) {
+    this.navigation = {
+      id: (this.navigation?.id ?? -1) + 1,
+      type,
+      url: url.toString(),
+      cls: 0,
+      clsSession: { value: 0, first: 0, last: 0 },
+      clsReported: null,
+      interactions: new Map(),
+      inpReported: null,
+    };
+  }
+
+  /**
+   * Close the current navigation and start a soft one
+   * @private
+   */
+  _softNavigation(url) {
+    if (!this.navigation) return;
+
+    this._finalizeLcp();
+    this._reportNavigation();
+    this._startNavigation('soft', url);
+  }
+
+  /**
+   * Add a layout shift using the session window rules (1s gap, 5s window)
+   * @private
+   */
+  _addLayoutShift(entry) {
+    if (entry.hadRecentInput || !this.navigation) return;
+
+    const session = this.navigation.clsSession;
+    if (
+      session.value > 0 &&
+      entry.startTime - session.last < 1000 &&
+      entry.startTime - session.first < 5000
+    ) {
+      session.value += entry.value;
+      session.last = entry.startTime;
+    } else {
+      session.value = entry.value;
+      session.first = entry.startTime;
+      session.last = entry.startTime;
+    }
+
+    this.navigation.cls = Math.max(this.navigation.cls, session.value);
+  }
+
+  /**
+   * Record the longest event duration per interaction
+   * @private
+   */
+  _addInteraction(entry) {
+    if (!entry.interactionId || !this.navigation) return;
+
+    const { interactions } = this.navigation;
+    const existing = interactions.get(entry.interactionId);
+    if (!existing || entry.duration > existing.duration) {
+      interactions.set(entry.interactionId, {
+        duration: entry.duration,
+        eventType: entry.name,
+        target: entry.target || null,
+      });
+    }
+  }
+
+  /**
+   * INP: the longest interaction, skipping one outlier per 50 interactions
+   * @private
+   */
+  _computeInp() {
+    const sorted = [...this.navigation.interactions.values()].sort(
+      (a, b) => b.duration - a.duration
+    );
+    if (sorted.length === 0) return null;
+
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length / 50))];
+  }
+
+  /**
+   * Emit LCP once, when it can no longer change
+   * @private
+   */
+  _finalizeLcp() {
+    if (this.lcpReported || !this.lcp) return;
+    this.lcpReported = true;
+
+    const entry = this.lcp;
+    this._emit('lcp', entry.renderTime || entry.loadTime || entry.startTime, {
+      navigationId: 0,
+      navigationType: 'hard',
+      url: this.initialUrl,
+      element: entry.element || null,
+    });
+  }
+
+  /**
+   * Emit CLS and INP for the current navigation if they changed since last reported
+   * @private
+   */
+  _reportNavigation() {
+    const navigation = this.navigation;
+    if (!navigation) return;
+
+    const context = {
+      navigationId: navigation.id,
+      navigationType: navigation.type,
+      url: navigation.url,
+    };
+
+    if (navigation.clsReported !== navigation.cls) {
+      navigation.clsReported = navigation.cls;
+      this._emit('cls', navigation.cls, context);
+    }
+
+    const inp = this._computeInp();
+    if (inp && navigation.inpReported !== inp.duration) {
+      navigation.inpReported = inp.duration;
+      this._emit('inp', inp.duration, {
+        ...context,
+        eventType: inp.eventType,
+        element: inp.target,
+        interactionCount: navigation.interactions.size,
+      });
+    }
+  }
+
+  /**
+   * Report everything when the page is hidden (it may never become visible again)
+   * @private
+   */
+  _onVisibilityChange() {
+    if (document.visibilityState !== 'hidden') return;
+
+    this._finalizeLcp();
+    this._reportNavigation();
+  }
+
+  /**
+   * @private
+   */
+  _emit(metric, value, context) {
+    const [good, poor] = THRESHOLDS[metric];
+    let rating = 'poor';
+    if (value <= good) {
+      rating = 'good';
+    } else if (value <= poor) {
+      rating = 'needs-improvement';
+    }
+
+    const payload = { name: metric.toUpperCase(), value, rating, ...context };
+    this.logger?.debug(`Web vital ${payload.name}`, payload);
+    this.eventBus.emit(`metrics:${metric}`, payload);
+  }
+}
+
+export default PerformanceMonitor;
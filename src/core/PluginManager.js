@@ -0,0 +1,255 @@
+/**
+ * PluginManager - Registers Parallelogram plugins and dispatches lifecycle hooks
+ *
+ * A plugin is a plain object with a unique `name`, an optional `dependsOn`
+ * list of other plugin names, and any of the hooks listed in PLUGIN_HOOKS.
+ * A plugin may also be a factory function that receives the options passed
+ * to `app.use()` and returns such an object.
+ *
+ * Every hook receives the plugin context first and the event payload (if any)
+ * second. The context exposes the live framework services, so `pageManager`
+ * is `null` during `beforeInit` and populated from `afterInit` onwards.
+ *
+ * @example
+ * const analyticsPlugin = options => ({
+ *   name: 'analytics',
+ *   dependsOn: ['consent'],
+ *   afterInit({ eventBus }) {
+ *     eventBus.on('analytics:track', payload => send(options.endpoint, payload));
+ *   },
+ *   afterFragmentSwap(context, { viewTargets }) {
+ *     send(options.endpoint, { type: 'pageview', viewTargets });
+ *   },
+ *   destroy() {
+ *     flush();
+ *   },
+ * });
+ *
+ * app.use(consentPlugin).use(analyticsPlugin, { endpoint: '/collect' });
+ */
+
+/**
+ * Lifecycle hooks a plugin can implement
+ * @type {string[]}
+ */
+export const PLUGIN_HOOKS = [
+  'beforeInit',
+  'afterInit',
+  'beforeNavigate',
+  'afterFragmentSwap',
+  'componentMounted',
+  'destroy',
+];
+
+/**
+ * Event bus events that drive the event-based hooks
+ */
+const EVENT_HOOKS = {
+  'router:navigate-start': 'beforeNavigate',
+  'page:fragments-replaced': 'afterFragmentSwap',
+  'page:component-mounted': 'componentMounted',
+};
+
+export class PluginManager {
+  /**
+   * Create a new PluginManager
+   * @param {Object} app - Owning Parallelogram instance (source of the plugin context)
+   */
+  constructor(app) {
+    this.app = app;
+    this.plugins = new Map();
+    this.order = [];
+    this._unsubscribers = [];
+    this._installed = false;
+  }
+
+  /**
+   * Register a plugin
+   * @param {Object|Function} plugin - Plugin object or factory returning one
+   * @param {Object} [options={}] - Options passed to the factory and exposed on the context
+   * @returns {Object} Normalised plugin record
+   */
+  register(plugin, options = {}) {
+    const definition = typeof plugin === 'function' ? plugin(options) : plugin;
+
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Plugin must be an object or a factory function returning an object');
+    }
+
+    if (!definition.name) {
+      throw new Error('Plugin must provide a name');
+    }
+
+    if (this.plugins.has(definition.name)) {
+      throw new Error(`Plugin '${definition.name}' is already registered`);
+    }
+
+    const record = {
+      name: definition.name,
+      dependsOn: definition.dependsOn || [],
+      plugin: definition,
+      options,
+    };
+    record.context = this._createContext(record);
+
+    /* Plugins added after init are installed straight away, so their dependencies
+       must already be there; checked before the record is kept */
+    if (this._installed) {
+      this._assertDependencies(record);
+    }
+
+    this.plugins.set(record.name, record);
+
+    if (this._installed) {
+      this.order.push(record);
+      this._call(record, 'beforeInit');
+      this._call(record, 'afterInit');
+    }
+
+    return record;
+  }
+
+  /**
+   * Check whether a plugin is registered
+   * @param {string} name - Plugin name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.plugins.has(name);
+  }
+
+  /**
+   * Resolve dependency order and subscribe the event-based hooks
+   * @param {EventManager} eventBus - Event bus to subscribe to
+   */
+  install(eventBus) {
+    this.order = this.resolveOrder();
+
+    for (const [event, hook] of Object.entries(EVENT_HOOKS)) {
+      this._unsubscribers.push(eventBus.on(event, payload => this.run(hook, payload)));
+    }
+
+    this._installed = true;
+  }
+
+  /**
+   * Sort plugins so that every plugin comes after its dependencies
+   * @returns {Object[]} Plugin records in install order
+   */
+  resolveOrder() {
+    const ordered = [];
+    const visited = new Set();
+    const visiting = new Set();
+
+    const visit = (record, path) => {
+      if (visited.has(record.name)) return;
+
+      if (visiting.has(record.name)) {
+        throw new Error(
+          `Circular plugin dependency detected: ${[...path, record.name].join(' -> ')}`
+        );
+      }
+
+      visiting.add(record.name);
+      this._assertDependencies(record);
+
+      for (const dependency of record.dependsOn) {
+        visit(this.plugins.get(dependency), [...path, record.name]);
+      }
+
+      visiting.delete(record.name);
+      visited.add(record.name);
+      ordered.push(record);
+    };
+
+    for (const record of this.plugins.values()) {
+      visit(record, []);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Run a hook on every installed plugin in dependency order
+   * @param {string} hook - Hook name
+   * @param {*} [payload] - Event payload passed as the second argument
+   */
+  run(hook, payload) {
+    for (const record of this.order) {
+      this._call(record, hook, payload);
+    }
+  }
+
+  /**
+   * Run `destroy` hooks in reverse dependency order and remove subscriptions
+   */
+  destroy() {
+    for (const record of [...this.order].reverse()) {
+      this._call(record, 'destroy');
+    }
+
+    this._unsubscribers.forEach(unsubscribe => unsubscribe());
+    this._unsubscribers = [];
+    this.order = [];
+    this._installed = false;
+  }
+
+  /**
+   * Throw if any of a plugin's dependencies is not registered
+   * @private
+   */
+  _assertDependencies(record) {
+    for (const dependency of record.dependsOn) {
+      if (!this.plugins.has(dependency)) {
+        throw new Error(
+          `Plugin '${record.name}' depends on '${dependency}' which is not registered`
+        );
+      }
+    }
+  }
+
+  /**
+   * Invoke a single hook, isolating plugin errors from the framework
+   * @private
+   */
+  _call(record, hook, payload) {
+    const handler = record.plugin[hook];
+    if (typeof handler !== 'function') return;
+
+    try {
+      handler.call(record.plugin, record.context, payload);
+    } catch (error) {
+      this.app.logger?.error(`Plugin '${record.name}' failed in ${hook}`, { error });
+    }
+  }
+
+  /**
+   * Build the context object handed to a plugin's hooks
+   * @private
+   */
+  _createContext(record) {
+    const app = this.app;
+
+    return {
+      app,
+      options: record.options,
+      get eventBus() {
+        return app.eventBus;
+      },
+      get router() {
+        return app.router;
+      },
+      get pageManager() {
+        return app.pageManager;
+      },
+      get registry() {
+        return app.componentRegistry;
+      },
+      get logger() {
+        return app.logger;
+      },
+    };
+  }
+}
+
+export default PluginManager;
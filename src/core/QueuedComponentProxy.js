@@ -2,9 +2,28 @@ import { BaseComponent } from './BaseComponent.js';
 
 /**
  * QueuedComponentProxy - Placeholder component for async loading
+ *
+ * Stands in for a component whose module is still being imported. Mounts,
+ * unmounts and every other public method call are recorded by PageManager and
+ * replayed in order on the real instance once it exists.
+ *
+ * Method calls on the placeholder return a promise that resolves with the real
+ * method's return value (or rejects if the call throws or the module fails to
+ * load), so early page scripts don't race the dynamic import:
+ *
+ * @example
+ * const toggle = app.pageManager.instances.get('toggle'); // placeholder while loading
+ * await toggle.show(button); // runs Toggle#show(button) once the module has loaded
+ *
+ * Only the component's own public methods are queued. Symbols, properties
+ * starting with an underscore, own fields (e.g. `elements`), the placeholder's
+ * own methods and everything BaseComponent or Object provide (`update`,
+ * `getState`, `toString`, ...) are served by the placeholder itself, so
+ * `String(placeholder)` or `JSON.stringify(placeholder)` don't queue calls.
+ * A queued name the loaded class doesn't declare rejects when it is replayed.
  */
 export class QueuedComponentProxy extends BaseComponent {
-  constructor(onMount, onUnmount) {
+  constructor(onMount, onUnmount, onCall) {
     // Provide minimal services for proxy
     super({
       eventBus: { on() {}, emit() {} },
@@ -13,6 +32,17 @@ export class QueuedComponentProxy extends BaseComponent {
     });
     this._onMount = onMount;
     this._onUnmount = onUnmount;
+    this._onCall = onCall;
+
+    return new Proxy(this, {
+      get(target, prop, receiver) {
+        if (QueuedComponentProxy._isPassthrough(target, prop)) {
+          return Reflect.get(target, prop, receiver);
+        }
+
+        return (...args) => target.queueCall(prop, args);
+      },
+    });
   }
 
   mount(element) {
@@ -22,4 +52,37 @@ export class QueuedComponentProxy extends BaseComponent {
   unmount(element) {
     this._onUnmount(element);
   }
+
+  /**
+   * Nothing is mounted on a placeholder yet; queued unmounts go through unmount()
+   */
+  destroy() {}
+
+  /**
+   * Queue a method call for the real instance
+   * @param {string} method - Method name
+   * @param {Array} args - Call arguments
+   * @returns {Promise<*>} Resolves with the real method's return value
+   */
+  queueCall(method, args) {
+    return this._onCall(method, args);
+  }
+
+  /**
+   * Whether a property is served by the placeholder itself rather than queued
+   * @private
+   */
+  static _isPassthrough(target, prop) {
+    return (
+      typeof prop !== 'string' ||
+      prop.startsWith('_') ||
+      // Probed by await and JSON.stringify
+      prop === 'then' ||
+      prop === 'toJSON' ||
+      Object.prototype.hasOwnProperty.call(target, prop) ||
+      Object.prototype.hasOwnProperty.call(QueuedComponentProxy.prototype, prop) ||
+      prop in BaseComponent.prototype ||
+      prop in Object.prototype
+    );
+  }
 }
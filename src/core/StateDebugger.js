@@ -0,0 +1,490 @@
+/**
+ * StateDebugger - In-page overlay for inspecting components in development mode
+ *
+ * Lists every registered component with its load status, the elements that
+ * match its selector and their current `data-<component>` state, next to a
+ * live timeline of eventBus events and their payloads. Clicking an element (or
+ * an event whose payload carries an `element`) highlights it on the page.
+ *
+ * The panel renders inside its own shadow root, so its styles never leak into
+ * the app and app styles never reach it. Parallelogram loads this module on
+ * demand in development mode and attaches one once it arrives (events from
+ * init onwards are replayed into it); toggle it with the launcher button or
+ * Alt+Shift+D.
+ *
+ * @example
+ * const app = Parallelogram.create({
+ *   mode: 'development',
+ *   stateDebugger: { open: true, maxEvents: 500 },
+ * });
+ * app.run();
+ * // Later, once the module has loaded
+ * app.stateDebugger?.toggle();
+ */
+
+import { describeElement } from '../utils/attribute-schema.js';
+import { getElementPath } from '../utils/dom-utils.js';
+
+const STYLES = `
+  :host { all: initial; }
+  * { box-sizing: border-box; }
+  .launcher, .panel {
+    position: fixed; right: 12px; bottom: 12px; z-index: 2147483647;
+    font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+    color: #e8e8ed; background: #1d1d24; border: 1px solid #3a3a46; border-radius: 6px;
+    box-shadow: 0 6px 24px rgba(0, 0, 0, 0.35);
+  }
+  .launcher { padding: 6px 10px; cursor: pointer; }
+  .panel { display: flex; flex-direction: column; width: min(560px, calc(100vw - 24px)); height: min(70vh, 640px); }
+  .panel[hidden] { display: none; }
+  header { display: flex; align-items: center; gap: 8px; padding: 6px 10px; border-bottom: 1px solid #3a3a46; }
+  header strong { flex: 1; }
+  button { font: inherit; color: inherit; background: #2c2c36; border: 1px solid #3a3a46; border-radius: 4px; padding: 2px 8px; cursor: pointer; }
+  button:hover { background: #3a3a46; }
+  input { font: inherit; color: inherit; background: #15151b; border: 1px solid #3a3a46; border-radius: 4px; padding: 2px 6px; flex: 1; }
+  section { display: flex; flex-direction: column; min-height: 0; flex: 1; }
+  section + section { border-top: 1px solid #3a3a46; }
+  h2 { display: flex; gap: 8px; align-items: center; margin: 0; padding: 6px 10px; font-size: 11px; text-transform: uppercase; letter-spacing: 0.05em; color: #9a9aab; }
+  ul { list-style: none; margin: 0; padding: 0 10px 8px; overflow: auto; flex: 1; }
+  li { padding: 3px 0; border-bottom: 1px solid #26262f; }
+  .name { color: #8ab4ff; }
+  .muted { color: #9a9aab; }
+  .status { padding: 0 6px; border-radius: 8px; background: #2c2c36; }
+  .status-loaded { color: #7ee2a8; }
+  .status-loading { color: #ffd479; }
+  .status-error, .state-error { color: #ff8a8a; }
+  .elements { padding: 2px 0 0 12px; }
+  .element { display: block; width: 100%; text-align: left; background: none; border: 0; padding: 1px 0; }
+  .element:hover { text-decoration: underline; background: none; }
+  details summary { cursor: pointer; }
+  pre { margin: 4px 0 0; white-space: pre-wrap; word-break: break-all; color: #c9c9d6; }
+  .highlight {
+    position: fixed; z-index: 2147483646; pointer-events: none;
+    border: 2px solid #8ab4ff; background: rgba(138, 180, 255, 0.18); border-radius: 2px;
+  }
+  .highlight span { position: absolute; top: -20px; left: -2px; padding: 1px 6px; background: #8ab4ff; color: #15151b; white-space: nowrap; }
+`;
+
+// Event payloads print this many levels deep and this many characters long
+const MAX_PAYLOAD_DEPTH = 4;
+const MAX_PAYLOAD_LENGTH = 2000;
+
+/**
+ * Plain objects, arrays, Maps and Sets print in full; other class instances print by name
+ */
+function isPlainValue(value) {
+  if (Array.isArray(value) || value instanceof Map || value instanceof Set) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+export class StateDebugger {
+  /**
+   * Create a new StateDebugger
+   * Events are recorded from construction; call attach() to render the panel.
+   * @param {Object} app - Owning Parallelogram instance (source of eventBus and pageManager)
+   * @param {Object} [options={}]
+   * @param {boolean} [options.open=false] - Open the panel when attached
+   * @param {number} [options.maxEvents=200] - Events kept in the timeline
+   * @param {number} [options.refreshInterval=1000] - Component list refresh while open (ms)
+   * @param {number} [options.highlightDuration=2000] - How long a highlight stays visible (ms)
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.options = {
+      open: false,
+      maxEvents: 200,
+      refreshInterval: 1000,
+      highlightDuration: 2000,
+      ...options,
+    };
+
+    this.events = [];
+    this.filter = '';
+    this.isOpen = false;
+    this.host = null;
+    this.root = null;
+    this._startTime = Date.now();
+    this._renderFrame = null;
+    this._refreshTimer = null;
+    this._highlightTimer = null;
+
+    this._unsubscribe = app.eventBus.onAny((event, payload) => this._record(event, payload));
+    this._handleKeydown = this._handleKeydown.bind(this);
+  }
+
+  /**
+   * Render the launcher and panel into a shadow root on document.body
+   * @returns {StateDebugger} This debugger for chaining
+   */
+  attach() {
+    if (this.host) return this;
+
+    this.host = document.createElement('div');
+    this.host.setAttribute('data-parallelogram-debugger', '');
+    this.root = this.host.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = STYLES;
+
+    this.launcher = this._el('button', 'launcher', 'State');
+    this.launcher.type = 'button';
+    this.launcher.title = 'Parallelogram state debugger (Alt+Shift+D)';
+    this.launcher.addEventListener('click', () => this.open());
+
+    this.panel = this._buildPanel();
+    this.highlightBox = this._el('div', 'highlight');
+    this.highlightBox.hidden = true;
+
+    this.root.append(style, this.launcher, this.panel, this.highlightBox);
+    document.body.appendChild(this.host);
+    document.addEventListener('keydown', this._handleKeydown);
+
+    if (this.options.open) {
+      this.open();
+    }
+
+    return this;
+  }
+
+  /**
+   * Open the panel
+   */
+  open() {
+    if (!this.host) this.attach();
+
+    this.isOpen = true;
+    this.panel.hidden = false;
+    this.launcher.hidden = true;
+    this._renderComponents();
+    this._renderEvents();
+
+    clearInterval(this._refreshTimer);
+    this._refreshTimer = setInterval(() => this._scheduleRender(), this.options.refreshInterval);
+  }
+
+  /**
+   * Close the panel, leaving the launcher
+   */
+  close() {
+    this.isOpen = false;
+    clearInterval(this._refreshTimer);
+    this._refreshTimer = null;
+
+    if (!this.host) return;
+    this.panel.hidden = true;
+    this.launcher.hidden = false;
+  }
+
+  /**
+   * Open or close the panel
+   * @param {boolean} [force] - Open when true, close when false
+   */
+  toggle(force = !this.isOpen) {
+    if (force) {
+      this.open();
+    } else {
+      this.close();
+    }
+  }
+
+  /**
+   * Outline an element on the page and scroll it into view
+   * @param {HTMLElement} element - Element to highlight
+   */
+  highlight(element) {
+    if (!this.host || !element?.isConnected) return;
+
+    element.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+
+    const rect = element.getBoundingClientRect();
+    const box = this.highlightBox;
+    box.style.top = `${rect.top}px`;
+    box.style.left = `${rect.left}px`;
+    box.style.width = `${rect.width}px`;
+    box.style.height = `${rect.height}px`;
+    box.replaceChildren(this._el('span', '', describeElement(element)));
+    box.hidden = false;
+
+    clearTimeout(this._highlightTimer);
+    this._highlightTimer = setTimeout(() => {
+      box.hidden = true;
+    }, this.options.highlightDuration);
+  }
+
+  /**
+   * Empty the event timeline
+   */
+  clearEvents() {
+    this.events = [];
+    this._renderEvents();
+  }
+
+  /**
+   * Stop recording and remove the panel
+   */
+  destroy() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+    this.close();
+    clearTimeout(this._highlightTimer);
+    cancelAnimationFrame(this._renderFrame);
+    document.removeEventListener('keydown', this._handleKeydown);
+
+    this.host?.remove();
+    this.host = null;
+    this.root = null;
+    this.events = [];
+  }
+
+  /**
+   * Build the panel skeleton
+   * @private
+   */
+  _buildPanel() {
+    const panel = this._el('div', 'panel');
+    panel.hidden = true;
+
+    const header = document.createElement('header');
+    const close = this._el('button', '', 'Close');
+    close.type = 'button';
+    close.addEventListener('click', () => this.close());
+    header.append(this._el('strong', '', 'Parallelogram state'), close);
+
+    const components = document.createElement('section');
+    this.componentList = document.createElement('ul');
+    components.append(this._el('h2', '', 'Components'), this.componentList);
+
+    const events = document.createElement('section');
+    const heading = this._el('h2', '', 'Events');
+    const filter = document.createElement('input');
+    filter.type = 'search';
+    filter.placeholder = 'Filter, e.g. router:';
+    filter.addEventListener('input', () => {
+      this.filter = filter.value.trim();
+      this._renderEvents();
+    });
+    const clear = this._el('button', '', 'Clear');
+    clear.type = 'button';
+    clear.addEventListener('click', () => this.clearEvents());
+    heading.append(filter, clear);
+    this.eventList = document.createElement('ul');
+    events.append(heading, this.eventList);
+
+    panel.append(header, components, events);
+    return panel;
+  }
+
+  /**
+   * Render registered components, their load status and element states
+   * @private
+   */
+  _renderComponents() {
+    const pageManager = this.app.pageManager;
+    if (!this.componentList) return;
+
+    if (!pageManager) {
+      this.componentList.replaceChildren(this._el('li', 'muted', 'PageManager not created yet'));
+      return;
+    }
+
+    const { loading, retries } = pageManager.getLoadingStatus();
+    const items = pageManager.getComponentRegistry().map(config => {
+      const elements = pageManager.getElementStates(config.name);
+      const hasInstance = pageManager.instances.has(config.name);
+      let status = 'not-loaded';
+      if (loading.includes(config.name)) {
+        status = 'loading';
+      } else if (hasInstance) {
+        status = 'loaded';
+      } else if (elements.some(({ state }) => state === 'error')) {
+        status = 'error';
+      }
+
+      const item = document.createElement('li');
+      const summary = [
+        this._el('span', 'name', config.name),
+        ' ',
+        this._el('span', `status status-${status}`, status),
+        ' ',
+        this._el('span', 'muted', config.selector),
+      ];
+      if (retries[config.name]) {
+        summary.push(' ', this._el('span', 'muted', `retries: ${retries[config.name]}`));
+      }
+      item.append(...summary);
+
+      const list = this._el('div', 'elements');
+      if (elements.length === 0) {
+        list.append(this._el('div', 'muted', 'no matching elements'));
+      }
+      elements.forEach(({ element, mounted, state }) => {
+        const button = this._el('button', 'element');
+        button.type = 'button';
+        button.title = 'Highlight on page';
+        button.append(
+          getElementPath(element),
+          ' ',
+          this._el(
+            'span',
+            state === 'error' ? 'state-error' : 'muted',
+            `${state === null ? '(no state)' : `"${state}"`}${mounted ? '' : ' · not mounted'}`
+          )
+        );
+        button.addEventListener('click', () => this.highlight(element));
+        list.append(button);
+      });
+      item.append(list);
+
+      return item;
+    });
+
+    this.componentList.replaceChildren(
+      ...(items.length ? items : [this._el('li', 'muted', 'No components registered')])
+    );
+  }
+
+  /**
+   * Render the (filtered) event timeline, newest first
+   * @private
+   */
+  _renderEvents() {
+    if (!this.eventList) return;
+
+    const rows = this.events
+      .filter(entry => !this.filter || entry.event.includes(this.filter))
+      .reverse()
+      .map(entry => this._buildEventRow(entry));
+
+    this.eventList.replaceChildren(
+      ...(rows.length ? rows : [this._el('li', 'muted', 'No events recorded')])
+    );
+  }
+
+  /**
+   * @private
+   */
+  _buildEventRow({ event, payload, time }) {
+    const item = document.createElement('li');
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.append(
+      this._el('span', 'muted', `+${(time / 1000).toFixed(3)}s `),
+      this._el('span', 'name', event)
+    );
+    details.append(summary, this._el('pre', '', this._formatPayload(payload)));
+    item.append(details);
+
+    if (payload?.element instanceof Element) {
+      summary.addEventListener('click', () => this.highlight(payload.element));
+    }
+
+    return item;
+  }
+
+  /**
+   * Record an event from the bus
+   * @private
+   */
+  _record(event, payload) {
+    const entry = { event, payload, time: Date.now() - this._startTime };
+    this.events.push(entry);
+    if (this.events.length > this.options.maxEvents) {
+      this.events.shift();
+    }
+
+    if (!this.isOpen) return;
+
+    if (!this.filter || event.includes(this.filter)) {
+      if (this.eventList.querySelector('li.muted')) {
+        this.eventList.replaceChildren();
+      }
+      this.eventList.prepend(this._buildEventRow(entry));
+      while (this.eventList.children.length > this.options.maxEvents) {
+        this.eventList.lastElementChild.remove();
+      }
+    }
+
+    this._scheduleRender();
+  }
+
+  /**
+   * Re-render the component list on the next frame
+   * @private
+   */
+  _scheduleRender() {
+    if (this._renderFrame) return;
+
+    this._renderFrame = requestAnimationFrame(() => {
+      this._renderFrame = null;
+      if (this.isOpen) {
+        this._renderComponents();
+      }
+    });
+  }
+
+  /**
+   * Alt+Shift+D toggles the panel
+   * @private
+   */
+  _handleKeydown(event) {
+    if (event.altKey && event.shiftKey && event.code === 'KeyD') {
+      event.preventDefault();
+      this.toggle();
+    }
+  }
+
+  /**
+   * Readable JSON for an event payload (elements, errors and cycles included)
+   * Nesting stops at MAX_PAYLOAD_DEPTH and class instances other than plain
+   * objects (components, managers) print as `[ClassName]`, so a payload that
+   * references the app never walks the whole object graph.
+   * @private
+   */
+  _formatPayload(payload) {
+    if (payload === undefined) return '(no payload)';
+
+    const seen = new WeakSet();
+    const depths = new WeakMap();
+    const text = JSON.stringify(
+      payload,
+      function (key, value) {
+        if (value instanceof Element) return `<${describeElement(value)}>`;
+        if (value instanceof Error) return `${value.name}: ${value.message}`;
+        if (value instanceof URL) return value.toString();
+        if (typeof value === 'function') return '[Function]';
+        if (!value || typeof value !== 'object') return value;
+        if (seen.has(value)) return '[Circular]';
+
+        const depth = (depths.get(this) ?? -1) + 1;
+        if (depth > 0 && !isPlainValue(value)) return `[${value.constructor?.name || 'Object'}]`;
+        if (depth >= MAX_PAYLOAD_DEPTH) {
+          return Array.isArray(value) ? `[Array(${value.length})]` : '[Object]';
+        }
+
+        seen.add(value);
+        let result = value;
+        if (value instanceof Map) result = Object.fromEntries(value);
+        if (value instanceof Set) result = [...value];
+        depths.set(result, depth);
+        return result;
+      },
+      2
+    );
+
+    return text.length > MAX_PAYLOAD_LENGTH ? `${text.slice(0, MAX_PAYLOAD_LENGTH)}…` : text;
+  }
+
+  /**
+   * Create an element with a class and text
+   * @private
+   */
+  _el(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+}
+
+export default StateDebugger;
@@ -0,0 +1,107 @@
+/**
+ * StatePersistence - Small JSON store for component UI state
+ *
+ * Backs the opt-in `data-<component>-persist="key"` attribute. Values are
+ * stored as JSON under `<prefix>:<component>:<key>` in localStorage or
+ * sessionStorage. Storage failures (private browsing, quota, disabled
+ * storage) are logged and treated as "nothing stored" so components always
+ * fall back to their markup.
+ *
+ * @example
+ * import { statePersistence } from '@parallelogram-js/core';
+ * statePersistence.write('tabs:settings', { activeTab: 'billing' }, 'session');
+ * statePersistence.read('tabs:settings', 'session'); // { activeTab: 'billing' }
+ */
+export class StatePersistence {
+  /**
+   * Create a new StatePersistence store
+   * @param {Object} [options={}]
+   * @param {string} [options.prefix='parallelogram'] - Namespace for storage keys
+   * @param {Object} [options.logger] - Logger for storage errors
+   */
+  constructor({ prefix = 'parallelogram', logger = null } = {}) {
+    this.prefix = prefix;
+    this.logger = logger;
+  }
+
+  /**
+   * Read a stored value
+   * @param {string} key - Key without the namespace prefix
+   * @param {string} [storage='local'] - 'local' or 'session'
+   * @returns {*} Parsed value, or null when nothing (valid) is stored
+   */
+  read(key, storage = 'local') {
+    const store = this._getStorage(storage);
+    if (!store) return null;
+
+    try {
+      const raw = store.getItem(this._key(key));
+      return raw === null ? null : JSON.parse(raw);
+    } catch (error) {
+      this.logger?.warn(`Could not read persisted state "${key}"`, { error, storage });
+      return null;
+    }
+  }
+
+  /**
+   * Store a value as JSON
+   * @param {string} key - Key without the namespace prefix
+   * @param {*} value - JSON-serialisable value
+   * @param {string} [storage='local'] - 'local' or 'session'
+   * @returns {boolean} Whether the value was stored
+   */
+  write(key, value, storage = 'local') {
+    const store = this._getStorage(storage);
+    if (!store) return false;
+
+    try {
+      store.setItem(this._key(key), JSON.stringify(value));
+      return true;
+    } catch (error) {
+      this.logger?.warn(`Could not persist state "${key}"`, { error, storage });
+      return false;
+    }
+  }
+
+  /**
+   * Remove a stored value
+   * @param {string} key - Key without the namespace prefix
+   * @param {string} [storage='local'] - 'local' or 'session'
+   */
+  remove(key, storage = 'local') {
+    try {
+      this._getStorage(storage)?.removeItem(this._key(key));
+    } catch (error) {
+      this.logger?.warn(`Could not remove persisted state "${key}"`, { error, storage });
+    }
+  }
+
+  /**
+   * Namespaced storage key
+   * @private
+   */
+  _key(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  /**
+   * Resolve the Storage object, or null where it is unavailable
+   * @private
+   */
+  _getStorage(storage) {
+    try {
+      if (typeof window === 'undefined') return null;
+      return storage === 'session' ? window.sessionStorage : window.localStorage;
+    } catch {
+      // Accessing storage throws when it is disabled (e.g. blocked third-party storage)
+      return null;
+    }
+  }
+}
+
+/**
+ * Shared store used by BaseComponent unless a component is given its own
+ */
+export const statePersistence = new StatePersistence();
+
+export default StatePersistence;
@@ -0,0 +1,231 @@
+/**
+ * Logger transports - Where DevLogger records go
+ *
+ * A transport is an object with a `log(record)` method (or just a function
+ * taking the record). Records are plain objects:
+ * `{ level, namespace, timestamp, message, data }`, where `timestamp` is
+ * epoch milliseconds and `data` holds any arguments after the message.
+ *
+ * A transport may set `level` to receive only records at or above it, and may
+ * implement `flush()` and `destroy()`.
+ *
+ * @example
+ * import { DevLogger, consoleTransport, memoryTransport, beaconTransport } from '@parallelogram-js/core';
+ *
+ * const memory = memoryTransport({ size: 200 });
+ * const logger = new DevLogger({
+ *   namespace: 'checkout',
+ *   transports: [consoleTransport(), memory, beaconTransport({ url: '/logs' })],
+ * });
+ *
+ * reportBugButton.addEventListener('click', () => attach(memory.dump()));
+ */
+
+import { describeElement } from '../utils/attribute-schema.js';
+
+/**
+ * Numeric severity per level
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  log: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+};
+
+/**
+ * Write records to the browser console (the default transport)
+ * @param {Object} [options={}]
+ * @param {string} [options.level='debug'] - Minimum level
+ * @returns {Object} Transport
+ */
+export function consoleTransport({ level = 'debug' } = {}) {
+  return {
+    name: 'console',
+    level,
+    log(record) {
+      const prefix = `${new Date(record.timestamp).toISOString()} [${record.namespace}] ${record.level.toUpperCase()}:`;
+      const message = record.message === undefined ? [] : [record.message];
+      const rest = record.args ?? (record.data === undefined ? [] : [record.data]);
+      console[record.level](prefix, ...message, ...rest);
+    },
+    group(record) {
+      if (!console.groupCollapsed) return;
+
+      /* Open the group with just the label */
+      console.groupCollapsed(`[${record.namespace}] ${record.message}`);
+
+      /* Log data separately inside the group if provided */
+      if (record.data && typeof record.data === 'object') {
+        console.log('Details:', record.data);
+      }
+    },
+    groupEnd() {
+      console.groupEnd?.();
+    },
+  };
+}
+
+/**
+ * Keep the last `size` records in memory, e.g. to attach to bug reports
+ * @param {Object} [options={}]
+ * @param {number} [options.size=500] - Records kept
+ * @param {string} [options.level='debug'] - Minimum level
+ * @returns {Object} Transport with `records`, `clear()` and `dump()`
+ */
+export function memoryTransport({ size = 500, level = 'debug' } = {}) {
+  const records = [];
+
+  return {
+    name: 'memory',
+    level,
+    records,
+    log(record) {
+      records.push(record);
+      if (records.length > size) {
+        records.splice(0, records.length - size);
+      }
+    },
+    clear() {
+      records.length = 0;
+    },
+    /**
+     * JSON-safe copy of the buffer, oldest first
+     * @returns {Object[]}
+     */
+    toJSON() {
+      return records.map(serializeRecord);
+    },
+    /**
+     * Buffer as a JSON string
+     * @returns {string}
+     */
+    dump() {
+      return JSON.stringify(this.toJSON(), null, 2);
+    },
+  };
+}
+
+/**
+ * Batch records and POST them to an endpoint with navigator.sendBeacon()
+ * Batches are sent when `batchSize` records are queued, every `flushInterval`
+ * ms, and when the page is hidden or unloaded (`pagehide`). Falls back to
+ * `fetch(..., { keepalive: true })` where sendBeacon is unavailable or refuses the payload.
+ * @param {Object} options
+ * @param {string} options.url - Endpoint receiving `{ records: [...] }` JSON
+ * @param {string} [options.level='warn'] - Minimum level
+ * @param {number} [options.batchSize=20] - Records per batch
+ * @param {number} [options.flushInterval=10000] - Max time records wait (ms); 0 disables the timer
+ * @param {number} [options.maxQueue=200] - Oldest records are dropped beyond this
+ * @returns {Object} Transport with `flush()` and `destroy()`
+ */
+export function beaconTransport({
+  url,
+  level = 'warn',
+  batchSize = 20,
+  flushInterval = 10000,
+  maxQueue = 200,
+} = {}) {
+  if (!url) {
+    throw new Error('beaconTransport requires a url');
+  }
+
+  let queue = [];
+  let timer = null;
+
+  const send = body => {
+    try {
+      if (typeof navigator !== 'undefined' && navigator.sendBeacon) {
+        const blob = new Blob([body], { type: 'application/json' });
+        if (navigator.sendBeacon(url, blob)) return;
+      }
+
+      fetch(url, {
+        method: 'POST',
+        body,
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json' },
+      }).catch(() => {});
+    } catch {
+      // Logging must never break the page
+    }
+  };
+
+  const transport = {
+    name: 'beacon',
+    level,
+    log(record) {
+      queue.push(serializeRecord(record));
+      if (queue.length > maxQueue) {
+        queue = queue.slice(-maxQueue);
+      }
+
+      if (queue.length >= batchSize) {
+        transport.flush();
+      } else if (flushInterval > 0 && !timer) {
+        timer = setTimeout(() => transport.flush(), flushInterval);
+      }
+    },
+    flush() {
+      clearTimeout(timer);
+      timer = null;
+
+      while (queue.length > 0) {
+        send(JSON.stringify({ records: queue.splice(0, batchSize) }));
+      }
+    },
+    destroy() {
+      transport.flush();
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', onHide);
+        document.removeEventListener('visibilitychange', onVisibilityChange);
+      }
+    },
+  };
+
+  const onHide = () => transport.flush();
+  const onVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') transport.flush();
+  };
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', onHide);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+  }
+
+  return transport;
+}
+
+/**
+ * JSON-safe copy of a record (errors, elements and cycles are flattened)
+ * @param {Object} record - Log record
+ * @returns {Object}
+ */
+export function serializeRecord(record) {
+  const seen = new WeakSet();
+
+  const convert = value => {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, stack: value.stack };
+    }
+    if (typeof Element !== 'undefined' && value instanceof Element) {
+      return `<${describeElement(value)}>`;
+    }
+    if (value instanceof URL) return value.toString();
+    if (value instanceof Map) return convert(Object.fromEntries(value));
+    if (value instanceof Set) return convert([...value]);
+    if (typeof value === 'function') return '[Function]';
+    if (typeof value === 'bigint') return value.toString();
+    if (!value || typeof value !== 'object') return value;
+
+    if (seen.has(value)) return '[Circular]';
+    seen.add(value);
+
+    if (Array.isArray(value)) return value.map(convert);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, convert(item)]));
+  };
+
+  const { level, namespace, timestamp, message, data } = record;
+  return { level, namespace, timestamp, message: convert(message), data: convert(data) };
+}
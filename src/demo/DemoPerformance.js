@@ -93,7 +93,7 @@ export class DemoPerformance extends BaseComponent {
     this.frameworkEventHandler = (eventType, data) => {
       this.handleFrameworkEvent(eventType, data);
     };
-    window.eventBus.on('*', this.frameworkEventHandler);
+    window.eventBus.onAny(this.frameworkEventHandler);
   }
 
   setupButtonHandlers(element, signal) {
@@ -5,10 +5,21 @@ export { default } from './core/Parallelogram.js';
 /* Core utilities */
 export { ComponentRegistry } from './core/ComponentRegistry.js';
 export { WebComponentLoader } from './core/WebComponentLoader.js';
-export { DevLogger } from './core/DevLogger.js';
+export { DevLogger, createLogger } from './core/DevLogger.js';
+export {
+  consoleTransport,
+  memoryTransport,
+  beaconTransport,
+  serializeRecord,
+} from './core/logger-transports.js';
+export { PluginManager } from './core/PluginManager.js';
+export { StatePersistence, statePersistence } from './core/StatePersistence.js';
+export { HistorySnapshotCache } from './core/HistorySnapshotCache.js';
+export { PerformanceMonitor } from './core/PerformanceMonitor.js';
 export { BaseComponent } from './core/BaseComponent.js';
 
 /* Managers - can be used directly for advanced use cases */
 export { EventManager } from './managers/EventManager.js';
+export { BroadcastBridge } from './managers/BroadcastBridge.js';
 export { RouterManager } from './managers/RouterManager.js';
 export { PageManager } from './managers/PageManager.js';
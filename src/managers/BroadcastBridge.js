@@ -0,0 +1,152 @@
+/**
+ * BroadcastBridge - Forwards selected event bus events to other tabs
+ *
+ * Whitelisted events emitted in one tab are posted on a BroadcastChannel
+ * (or, where that is unavailable, through a localStorage `storage` event) and
+ * re-emitted on the event bus of every other tab on the same origin. Messages
+ * carry the sending tab's id, and events re-emitted from another tab are
+ * never forwarded again, so tabs can't echo events back and forth.
+ *
+ * Payloads must survive structured cloning (BroadcastChannel) or JSON
+ * (storage fallback): plain data only, no elements or functions.
+ *
+ * @example
+ * const eventBus = new EventManager({ broadcast: ['auth:logout', 'cart:*'] });
+ * eventBus.on('auth:logout', () => location.assign('/login')); // fires in every tab
+ */
+
+let bridgeCount = 0;
+
+export class BroadcastBridge {
+  /**
+   * Create a new BroadcastBridge
+   * @param {EventManager} eventBus - Bus to forward from and re-emit on
+   * @param {Object} options
+   * @param {string[]} options.events - Event names or `*` patterns to forward
+   * @param {string} [options.channel='parallelogram'] - Channel (and storage key) name
+   * @param {Object} [options.logger] - Logger for messages that can't be sent
+   */
+  constructor(eventBus, { events = [], channel = 'parallelogram', logger = null } = {}) {
+    this.eventBus = eventBus;
+    this.events = events;
+    this.channelName = channel;
+    this.logger = logger;
+    this.tabId = createTabId();
+    this.storageKey = `${channel}:broadcast`;
+    this.receiving = false;
+    this.channel = null;
+    this._sequence = 0;
+
+    this._onMessage = this._onMessage.bind(this);
+    this._onStorage = this._onStorage.bind(this);
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(channel);
+      this.channel.addEventListener('message', this._onMessage);
+    } else if (typeof window !== 'undefined') {
+      window.addEventListener('storage', this._onStorage);
+    }
+
+    this._unsubscribe = eventBus.on('*', (payload, event) => this._forward(event, payload));
+  }
+
+  /**
+   * Whether an event name is on the whitelist
+   * @param {string} event
+   * @returns {boolean}
+   */
+  shouldForward(event) {
+    return this.events.some(pattern => this.eventBus._matches(pattern, event));
+  }
+
+  /**
+   * Stop forwarding and close the channel
+   */
+  close() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
+
+    if (this.channel) {
+      this.channel.removeEventListener('message', this._onMessage);
+      this.channel.close();
+      this.channel = null;
+    } else if (typeof window !== 'undefined') {
+      window.removeEventListener('storage', this._onStorage);
+    }
+  }
+
+  /**
+   * Post a local event to the other tabs
+   * @private
+   */
+  _forward(event, payload) {
+    // Events that arrived from another tab are not sent on again
+    if (this.receiving || !this.shouldForward(event)) return;
+
+    const message = {
+      source: this.tabId,
+      id: `${this.tabId}:${++this._sequence}`,
+      event,
+      payload,
+    };
+
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        localStorage.setItem(this.storageKey, JSON.stringify(message));
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      this.logger?.warn(`Could not broadcast "${event}"; payloads must be plain data`, { error });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _onMessage(messageEvent) {
+    this._receive(messageEvent.data);
+  }
+
+  /**
+   * @private
+   */
+  _onStorage(storageEvent) {
+    if (storageEvent.key !== this.storageKey || !storageEvent.newValue) return;
+
+    try {
+      this._receive(JSON.parse(storageEvent.newValue));
+    } catch (error) {
+      this.logger?.warn('Ignoring malformed broadcast message', { error });
+    }
+  }
+
+  /**
+   * Re-emit a message from another tab locally
+   * @private
+   */
+  _receive(message) {
+    if (!message || message.source === this.tabId || !this.shouldForward(message.event)) return;
+
+    this.receiving = true;
+    try {
+      this.eventBus.emit(message.event, message.payload);
+    } finally {
+      this.receiving = false;
+    }
+  }
+}
+
+/**
+ * Random id for this tab (and bridge)
+ * @private
+ */
+function createTabId() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${++bridgeCount}`;
+}
+
+export default BroadcastBridge;
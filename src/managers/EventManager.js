@@ -1,53 +1,268 @@
+/**
+ * EventManager - Publish/subscribe bus shared by the framework and components
+ *
+ * Listeners subscribe to an exact event name or to a pattern where `*`
+ * matches any run of characters: `router:*` receives every router event and
+ * `*` receives everything. Listeners are called with `(payload, event)`,
+ * highest `priority` first and in subscription order within a priority.
+ *
+ * With a replay buffer (`new EventManager({ replay: 50 })`), the last N
+ * emitted events are kept so late subscribers can catch up with
+ * `on(event, callback, { replay: true })`.
+ *
+ * @example
+ * const eventBus = new EventManager({ replay: 50 });
+ *
+ * eventBus.on('router:*', (payload, event) => console.log(event, payload));
+ * eventBus.on('page:component-mounted', track, { priority: 10 });
+ * eventBus.on('page-manager:initialized', ready, { replay: true, once: true });
+ *
+ * await eventBus.emitAsync('cart:checkout', order); // waits for async listeners
+ *
+ * @example
+ * // Forward some events to every open tab (see BroadcastBridge)
+ * const eventBus = new EventManager({ broadcast: ['auth:logout', 'cart:updated'] });
+ */
+
+import { BroadcastBridge } from './BroadcastBridge.js';
+
 export class EventManager {
-  constructor() {
+  /**
+   * Create a new EventManager
+   * @param {Object} [options={}]
+   * @param {number} [options.replay=0] - Number of recent events kept for replay
+   * @param {string[]|Object} [options.broadcast] - Events to share with other tabs, or
+   *   broadcast() options
+   * @param {Object} [options.logger] - Logger for the broadcast bridge
+   */
+  constructor({ replay = 0, broadcast = null, logger = null } = {}) {
+    // Map<event name or pattern, Array<listener entry>>
     this.listeners = new Map();
+    this.replaySize = replay;
+    this.history = [];
+    this.bridge = null;
+    this._patterns = new Map();
+    this._order = 0;
+
+    if (broadcast) {
+      const options = Array.isArray(broadcast) ? { events: broadcast } : broadcast;
+      this.broadcast({ logger, ...options });
+    }
   }
 
-  on(event, callback) {
+  /**
+   * Share events with other tabs of the same origin
+   * Replaces any existing bridge.
+   * @param {Object} options - BroadcastBridge options
+   * @param {string[]} options.events - Event names or `*` patterns to forward
+   * @param {string} [options.channel='parallelogram'] - BroadcastChannel name
+   * @param {Object} [options.logger] - Logger for messages that can't be sent
+   * @returns {BroadcastBridge}
+   */
+  broadcast(options) {
+    this.bridge?.close();
+    this.bridge = new BroadcastBridge(this, options);
+    return this.bridge;
+  }
+
+  /**
+   * Subscribe to an event or pattern
+   * @param {string} event - Event name, or pattern with `*` wildcards
+   * @param {Function} callback - Called with (payload, event)
+   * @param {Object} [options={}]
+   * @param {number} [options.priority=0] - Higher priorities run first
+   * @param {boolean} [options.once=false] - Unsubscribe after the first call
+   * @param {boolean|number} [options.replay=false] - Deliver buffered matching events
+   *   now (all of them, or the last N)
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback, options = {}) {
+    const { priority = 0, once = false, replay = false } = options;
+    const entry = { callback, priority, once, order: this._order++ };
+
     if (!this.listeners.has(event)) {
-      this.listeners.set(event, new Set());
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(entry);
+
+    const unsubscribe = () => this._remove(event, entry);
+
+    if (replay) {
+      this._replay(event, entry, replay === true ? Infinity : replay);
     }
-    const listeners = this.listeners.get(event);
-    listeners.add(callback);
-    return () => this.off(event, callback);
-  }
 
-  once(event, callback) {
-    const unsubscribe = this.on(event, payload => {
-      unsubscribe();
-      callback(payload);
-    });
     return unsubscribe;
   }
 
+  /**
+   * Subscribe for a single call
+   * @param {string} event - Event name or pattern
+   * @param {Function} callback - Called with (payload, event)
+   * @param {Object} [options={}] - Same as on()
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, callback, options = {}) {
+    return this.on(event, callback, { ...options, once: true });
+  }
+
+  /**
+   * Listen to every event
+   * @param {Function} callback - Called with (event, payload)
+   * @param {Object} [options={}] - Same as on()
+   * @returns {Function} Unsubscribe function
+   */
+  onAny(callback, options = {}) {
+    return this.on('*', (payload, event) => callback(event, payload), options);
+  }
+
   off(event, callback) {
-    const listeners = this.listeners.get(event);
-    if (listeners) {
-      listeners.delete(callback);
-      if (listeners.size === 0) {
-        this.listeners.delete(event);
-      }
+    const entries = this.listeners.get(event);
+    if (!entries) return;
+
+    const entry = entries.find(candidate => candidate.callback === callback);
+    if (entry) {
+      this._remove(event, entry);
     }
   }
 
   emit(event, payload) {
-    const listeners = this.listeners.get(event);
-    if (!listeners) return;
-    const listenersCopy = [...listeners];
-    for (const callback of listenersCopy) {
+    this._record(event, payload);
+
+    for (const entry of this._match(event)) {
       try {
-        callback(payload);
+        entry.callback(payload, event);
       } catch (error) {
         console.error(`[EventManager] Error in listener for "${event}":`, error);
       }
     }
   }
 
+  /**
+   * Emit an event and wait for every listener, one after another in priority order
+   * Errors are logged like emit() and don't stop later listeners.
+   * @param {string} event - Event name
+   * @param {*} payload - Event payload
+   * @returns {Promise<Array>} Listener return values (undefined for listeners that threw)
+   */
+  async emitAsync(event, payload) {
+    this._record(event, payload);
+
+    const results = [];
+    for (const entry of this._match(event)) {
+      try {
+        results.push(await entry.callback(payload, event));
+      } catch (error) {
+        console.error(`[EventManager] Error in listener for "${event}":`, error);
+        results.push(undefined);
+      }
+    }
+    return results;
+  }
+
   clear(event) {
     if (event) {
       this.listeners.delete(event);
     } else {
       this.listeners.clear();
+      this.history = [];
+      this.bridge?.close();
+      this.bridge = null;
+    }
+  }
+
+  /**
+   * Listeners for an event, ordered by priority; once-listeners are removed as they are picked
+   * @private
+   */
+  _match(event) {
+    const matched = [];
+
+    for (const [key, entries] of this.listeners) {
+      if (!this._matches(key, event)) continue;
+
+      for (const entry of entries) {
+        matched.push({ key, entry });
+      }
+    }
+
+    matched.sort((a, b) => b.entry.priority - a.entry.priority || a.entry.order - b.entry.order);
+
+    return matched.map(({ key, entry }) => {
+      if (entry.once) this._remove(key, entry);
+      return entry;
+    });
+  }
+
+  /**
+   * Deliver buffered events matching a new subscription
+   * @private
+   */
+  _replay(event, entry, count) {
+    const matches = this.history.filter(record => this._matches(event, record.event));
+
+    for (const record of matches.slice(-count)) {
+      if (entry.once) {
+        // Already used up by an earlier replayed event (or unsubscribed by the callback)
+        if (!this.listeners.get(event)?.includes(entry)) return;
+        this._remove(event, entry);
+      }
+
+      try {
+        entry.callback(record.payload, record.event);
+      } catch (error) {
+        console.error(`[EventManager] Error replaying "${record.event}":`, error);
+      }
+    }
+  }
+
+  /**
+   * Add an event to the replay buffer
+   * @private
+   */
+  _record(event, payload) {
+    if (this.replaySize <= 0) return;
+
+    this.history.push({ event, payload });
+    if (this.history.length > this.replaySize) {
+      this.history.shift();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _remove(event, entry) {
+    const entries = this.listeners.get(event);
+    if (!entries) return;
+
+    const index = entries.indexOf(entry);
+    if (index !== -1) {
+      entries.splice(index, 1);
+    }
+    if (entries.length === 0) {
+      this.listeners.delete(event);
+    }
+  }
+
+  /**
+   * Whether a subscription key (name or pattern) matches an event name
+   * @private
+   */
+  _matches(key, event) {
+    return key === event || (key.includes('*') && this._compile(key).test(event));
+  }
+
+  /**
+   * Pattern to RegExp, cached
+   * @private
+   */
+  _compile(pattern) {
+    let regExp = this._patterns.get(pattern);
+    if (!regExp) {
+      const source = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+      regExp = new RegExp(`^${source}$`);
+      this._patterns.set(pattern, regExp);
     }
+    return regExp;
   }
 }
@@ -1,14 +1,21 @@
 import { QueuedComponentProxy } from '../core/QueuedComponentProxy.js';
+import { createComponentHandle } from '../core/ComponentHandle.js';
+import { ComponentStates } from '../core/ComponentStates.js';
+import { HistorySnapshotCache } from '../core/HistorySnapshotCache.js';
+import { getElementPath } from '../utils/dom-utils.js';
+import { schemaAttributes } from '../utils/attribute-schema.js';
+import { startSpan } from '../utils/performance-utils.js';
 
 /**
  * PageManager - Enhanced page lifecycle and component management
  * Handles fragment replacement, component mounting/unmounting, and DOM observation
  */
 export class PageManager {
-  constructor({ containerSelector, registry, eventBus, logger, router, options = {} }) {
+  constructor({ containerSelector, registry, eventBus, logger, router, mode, options = {} }) {
     this.eventBus = eventBus;
     this.logger = logger;
     this.router = router;
+    this.mode = mode || 'production';
     this.containerSelector = containerSelector;
     this.registry = registry;
 
@@ -20,14 +27,27 @@ export class PageManager {
       scrollRestoration: true,
       scrollPosition: 'top', // 'top', 'preserve', 'element'
       scrollElement: null,
+      // Instant back/forward from the server HTML of visited pages (needs the router; opt-in).
+      // Holds what the server sent, not the page as the user left it: form input and
+      // component state are not restored
+      historyHtmlCache: false,
+      historyCacheMaxEntries: 10,
+      historyCacheMaxBytes: 2 * 1024 * 1024, // Approximate memory for all snapshots
+      historyCacheRevalidate: false, // Refetch a restored page and swap it in if it changed
       // Component loading
-      lazyLoadThreshold: '100px',
+      lazyLoadThreshold: '100px', // rootMargin for mount: 'visible'
+      idleTimeout: 2000, // Upper bound for mount: 'idle'
+      interactionEvents: ['pointerenter', 'pointerdown', 'focusin', 'touchstart'], // mount: 'interaction'
       retryFailedLoads: true,
       maxRetryAttempts: 3,
+      // Start loading component modules found in fetched HTML before it is swapped in
+      preloadComponents: true,
+      // Add <link rel="modulepreload"> for a router link's components on hover/focus
+      modulePreloadHints: true,
       // Performance
       batchUpdates: true,
       updateThrottleMs: 16,
-      // Debug
+      // Record User Timing spans and emit metrics:measure events
       trackPerformance: false,
       // Fragment target groups - define which fragments update together
       targetGroups: {
@@ -44,6 +64,30 @@ export class PageManager {
     this.observer = null;
     this.loadingPromises = new Map();
     this.retryCount = new Map();
+    // Deferred mounts per element: Map<element, Map<componentName, cancel>>
+    this._pendingMounts = new Map();
+    // Bound data-action elements: Map<element, AbortController>
+    this._actionControllers = new Map();
+    // Modules warmed ahead of mounting: Map<componentName, {module, promise}>
+    this._preloads = new Map();
+    // Components seen per page URL, for hover hints: Map<url, componentName[]>
+    this._pageComponents = new Map();
+    this._modulePreloadHints = new Set();
+    this._onLinkIntent = this._onLinkIntent.bind(this);
+
+    // Back/forward snapshots, keyed by the router's history.state key
+    this.snapshots =
+      this.router && this.options.historyHtmlCache
+        ? new HistorySnapshotCache({
+            maxEntries: this.options.historyCacheMaxEntries,
+            maxBytes: this.options.historyCacheMaxBytes,
+          })
+        : null;
+    this._snapshotKey = null;
+    this._lastScroll = { x: 0, y: 0 };
+    // AbortController of the snapshot revalidation in flight
+    this._revalidation = null;
+    this._onScroll = this._onScroll.bind(this);
 
     // Performance tracking
     this.performanceMetrics = {
@@ -98,8 +142,14 @@ export class PageManager {
       }
     );
 
-    this.eventBus.on('router:popstate', async ({ url }) => {
+    this.eventBus.on('router:popstate', async ({ url, state }) => {
       try {
+        const snapshot = this.snapshots?.get(state?.key);
+        if (snapshot) {
+          await this._restoreSnapshot(snapshot, url);
+          return;
+        }
+
         this.logger?.info('Handling popstate navigation', { url: url.toString() });
         const { data } = await this.router.get(url.toString());
 
@@ -124,6 +174,33 @@ export class PageManager {
       this._handleLazyLoad(element, componentName);
     });
 
+    // Warm the components of prefetched pages too
+    this._unsubscribePrefetched = this.eventBus.on('router:prefetched', ({ url, html }) => {
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      if (this.options.preloadComponents) {
+        this.preloadComponentsIn(doc);
+      }
+      if (this.options.modulePreloadHints) {
+        this._rememberPageComponents(url, doc);
+      }
+    });
+
+    // Snapshot the initial page before components modify it; scroll is restored by hand
+    if (this.snapshots) {
+      this._storeSnapshot(document, location.href);
+      this._lastScroll = { x: window.scrollX, y: window.scrollY };
+      window.addEventListener('scroll', this._onScroll, { passive: true });
+      this._scrollRestoration = history.scrollRestoration;
+      history.scrollRestoration = 'manual';
+    }
+
+    // Hint the modules a hovered or focused router link will need
+    if (this.router && this.options.modulePreloadHints) {
+      document.addEventListener('pointerover', this._onLinkIntent);
+      document.addEventListener('focusin', this._onLinkIntent);
+      this._rememberPageComponents(location.href, document);
+    }
+
     // Initial component mounting
     this._initialMount();
 
@@ -182,13 +259,20 @@ export class PageManager {
     const {
       fromNavigation = false,
       fromPopstate = false,
+      fromSnapshot = false,
       preserveScroll = false,
       url = null,
       trigger = 'unknown',
       viewTargets = ['main'], // Array of fragment targets
     } = options;
 
+    // Remember where the page being left was scrolled to
+    if (this.snapshots && this._snapshotKey) {
+      this.snapshots.updateScroll(this._snapshotKey, this._lastScroll);
+    }
+
     const startTime = this.options.trackPerformance ? performance.now() : 0;
+    const endSwap = this._startSpan('page:swap', { url: url?.toString() ?? null, viewTargets });
 
     this.logger?.group('Multiple fragments replacement', {
       fromNavigation,
@@ -213,6 +297,14 @@ export class PageManager {
       const parser = new DOMParser();
       const doc = parser.parseFromString(html, 'text/html');
 
+      // Load the new page's component modules while the old content transitions out
+      if (this.options.preloadComponents) {
+        this.preloadComponentsIn(doc);
+      }
+      if (url && this.options.modulePreloadHints) {
+        this._rememberPageComponents(url, doc);
+      }
+
       const replacementResults = [];
       let hasMainContentUpdate = false;
 
@@ -235,6 +327,15 @@ export class PageManager {
         }
       }
 
+      // Snapshot the fetched page for back/forward
+      if (this.snapshots && (fromNavigation || fromPopstate)) {
+        if (fromSnapshot) {
+          this._snapshotKey = this.router.historyKey;
+        } else {
+          this._storeSnapshot(doc, url);
+        }
+      }
+
       // Handle scroll restoration and head updates only if main content changed
       if (hasMainContentUpdate) {
         this._handleScrollRestoration(scrollPosition, options);
@@ -286,6 +387,8 @@ export class PageManager {
         });
       }
 
+      endSwap?.({ successfulReplacements: successfulTargets.length });
+
       this.eventBus.emit('page:fragments-replaced', {
         results: replacementResults,
         viewTargets,
@@ -438,6 +541,11 @@ export class PageManager {
       easing,
     });
 
+    const endTransition = this._startSpan(`page:transition:${direction}`, {
+      viewTarget: fragment.dataset.view,
+      transitionType: String(transitionType),
+    });
+
     try {
       // Check if it's a CSS class-based transition
       if (typeof transitionType === 'string' && !transitionType.includes('(')) {
@@ -449,6 +557,8 @@ export class PageManager {
         await this._performJSTransition(fragment, direction, config);
       }
 
+      endTransition?.();
+
       this.eventBus.emit(`page:fragment-transition-${direction}`, {
         fragment,
         viewTarget: fragment.dataset.view,
@@ -871,6 +981,13 @@ export class PageManager {
    * after the out transition completes for a smoother experience
    */
   _handleScrollRestoration(storedPosition, options) {
+    // Position saved in a back/forward snapshot
+    if (options.restoreScroll) {
+      const { x, y } = options.restoreScroll;
+      window.scrollTo({ top: y, left: x, behavior: 'instant' });
+      return;
+    }
+
     if (options.preserveScroll && storedPosition) {
       // Restore exact scroll position
       window.scrollTo({ top: storedPosition.y, left: storedPosition.x, behavior: 'instant' });
@@ -899,6 +1016,139 @@ export class PageManager {
     }
   }
 
+  /**
+   * Build a snapshot of a page's main fragments and head metadata
+   * Taken from fetched HTML (or the initial document before mounting), so the
+   * markup is restored without the changes components make when they mount, and
+   * without anything the user changed on the page (form input, component state).
+   * @private
+   * @param {Document} doc - Parsed page
+   * @param {string|URL} url - Page URL
+   * @returns {{url: string, html: string, viewTargets: string[]}|null}
+   */
+  _buildSnapshot(doc, url) {
+    const fragments = this._resolveTargetGroups(['main'])
+      .map(viewTarget => ({
+        viewTarget,
+        element: doc.querySelector(`[data-view="${viewTarget}"]`),
+      }))
+      .filter(({ element }) => element);
+    if (fragments.length === 0) return null;
+
+    const head = [
+      ...(doc.head?.querySelectorAll(
+        'title, meta[name], meta[property], link[rel="canonical"], link[rel="alternate"]'
+      ) || []),
+    ];
+
+    return {
+      url: url.toString(),
+      html: `<!DOCTYPE html><html><head>${head.map(el => el.outerHTML).join('')}</head><body>${fragments
+        .map(({ element }) => element.outerHTML)
+        .join('')}</body></html>`,
+      viewTargets: fragments.map(({ viewTarget }) => viewTarget),
+    };
+  }
+
+  /**
+   * Snapshot a page for the router's current history entry
+   * @private
+   */
+  _storeSnapshot(doc, url) {
+    const key = this.router.historyKey;
+    this._snapshotKey = key;
+
+    const snapshot = this._buildSnapshot(doc, url);
+    if (snapshot) {
+      this.snapshots.set(key, snapshot);
+    }
+  }
+
+  /**
+   * Swap a back/forward snapshot in without a request, then optionally revalidate it
+   * @private
+   */
+  async _restoreSnapshot(snapshot, url) {
+    const key = this.router.historyKey;
+    this.logger?.info('Restoring page snapshot', { url: url.toString() });
+
+    await this.replaceFragments(snapshot.html, {
+      fromPopstate: true,
+      fromSnapshot: true,
+      url,
+      viewTargets: snapshot.viewTargets,
+      restoreScroll: snapshot.scroll,
+    });
+
+    this.eventBus.emit('page:snapshot-restored', { url, key, scroll: snapshot.scroll });
+
+    if (this.options.historyCacheRevalidate) {
+      this._revalidateSnapshot(snapshot, url, key);
+    }
+  }
+
+  /**
+   * Refetch a restored page and swap the fresh content in if it differs
+   * Uses its own request rather than the router's, so it neither aborts a
+   * navigation in flight nor gets aborted (and reported as failed) by one.
+   * @private
+   */
+  async _revalidateSnapshot(snapshot, url, key) {
+    this._revalidation?.abort();
+    const controller = new AbortController();
+    this._revalidation = controller;
+
+    try {
+      const response = await fetch(url.toString(), {
+        method: 'GET',
+        signal: controller.signal,
+        credentials: 'same-origin',
+        headers: {
+          'X-Requested-With': 'XMLHttpRequest',
+          Accept: 'text/html,application/json,*/*',
+        },
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      }
+      const contentType = response.headers.get('content-type') || '';
+      const data = contentType.includes('text/html') ? await response.text() : null;
+
+      // Skip if the user has moved on (or is navigating away), or the response can't be compared
+      if (typeof data !== 'string' || this.router.historyKey !== key || this.router.isNavigating) {
+        return;
+      }
+
+      const fresh = this._buildSnapshot(new DOMParser().parseFromString(data, 'text/html'), url);
+      if (!fresh || fresh.html === snapshot.html) return;
+
+      await this.replaceFragments(data, {
+        fromPopstate: true,
+        url,
+        viewTargets: fresh.viewTargets,
+        preserveScroll: true,
+        trigger: 'revalidate',
+      });
+
+      this.eventBus.emit('page:snapshot-revalidated', { url, key });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        this.logger?.warn('Snapshot revalidation failed', { url: url.toString(), error });
+      }
+    } finally {
+      if (this._revalidation === controller) {
+        this._revalidation = null;
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _onScroll() {
+    this._lastScroll = { x: window.scrollX, y: window.scrollY };
+  }
+
   /**
    * Start DOM mutation observer with enhanced capabilities
    */
@@ -908,24 +1158,83 @@ export class PageManager {
       return;
     }
 
-    this.observer = new MutationObserver(mutations => {
-      if (this.options.batchUpdates) {
-        // Batch mutations for performance
-        this.pendingUpdates.push(...mutations);
-        this.throttledUpdate();
-      } else {
-        this._processMutations(mutations);
-      }
-    });
+    this.observer = new MutationObserver(mutations => this._onMutations(mutations));
+    this._observerRoot = root;
+    this._observeAttributes(this._observedAttributes());
+
+    this.logger?.info('DOM observer started', { root: this.containerSelector });
+  }
+
+  /**
+   * @private
+   */
+  _onMutations(mutations) {
+    if (this.options.batchUpdates) {
+      // Batch mutations for performance
+      this.pendingUpdates.push(...mutations);
+      this.throttledUpdate();
+    } else {
+      this._processMutations(mutations);
+    }
+  }
 
-    this.observer.observe(root, {
+  /**
+   * (Re)start observing with the given attributeFilter
+   * @private
+   */
+  _observeAttributes(attributes) {
+    this._observedAttributeList = attributes;
+    this.observer.observe(this._observerRoot, {
       childList: true,
       subtree: true,
       attributes: true,
-      attributeFilter: ['data-component', 'data-lazy-component'],
+      attributeOldValue: true,
+      attributeFilter: attributes,
     });
+  }
 
-    this.logger?.info('DOM observer started', { root: this.containerSelector });
+  /**
+   * Attributes the observer watches: the mount markers, data-action, and for each
+   * loaded component its data-<name> attribute plus the data-<name>-* attributes its
+   * schema and observedAttributes declare
+   * @private
+   * @returns {string[]}
+   */
+  _observedAttributes() {
+    const attributes = new Set(['data-component', 'data-lazy-component', 'data-action']);
+
+    for (const instance of this.instances.values()) {
+      if (instance instanceof QueuedComponentProxy || typeof instance._getSelector !== 'function') {
+        continue;
+      }
+
+      const prefix = instance._getSelector();
+      const { schema, observedAttributes = [] } = instance.constructor;
+      attributes.add(prefix);
+      for (const attribute of [...schemaAttributes(schema), ...observedAttributes]) {
+        attributes.add(`${prefix}-${attribute}`);
+      }
+    }
+
+    return [...attributes];
+  }
+
+  /**
+   * Widen the attributeFilter after a component has loaded
+   * @private
+   */
+  _refreshObservedAttributes() {
+    if (!this.observer) return;
+
+    const attributes = this._observedAttributes();
+    if (attributes.join() === this._observedAttributeList.join()) return;
+
+    // observe() on the same root replaces the options; records taken first aren't lost
+    const pending = this.observer.takeRecords();
+    this._observeAttributes(attributes);
+    if (pending.length > 0) {
+      this._onMutations(pending);
+    }
   }
 
   /**
@@ -945,8 +1254,22 @@ export class PageManager {
   _processMutations(mutations) {
     const addedElements = new Set();
     const removedElements = new Set();
+    const actionElements = new Set();
+    const attributeChanges = new Map();
 
     for (const mutation of mutations) {
+      // Rebind actions whose data-action attribute changed
+      if (mutation.type === 'attributes' && mutation.attributeName === 'data-action') {
+        actionElements.add(mutation.target);
+      } else if (mutation.type === 'attributes' && mutation.attributeName.startsWith('data-')) {
+        // Keep the oldest value per attribute so batched flips back to the same value are ignored
+        const changes = attributeChanges.get(mutation.target) || new Map();
+        if (!changes.has(mutation.attributeName)) {
+          changes.set(mutation.attributeName, mutation.oldValue);
+        }
+        attributeChanges.set(mutation.target, changes);
+      }
+
       // Handle added nodes
       if (mutation.addedNodes) {
         for (const node of mutation.addedNodes) {
@@ -982,6 +1305,71 @@ export class PageManager {
     if (removedElements.size > 0) {
       this.unmountRemoved(Array.from(removedElements));
     }
+
+    for (const element of actionElements) {
+      this._unbindActions(element);
+      if (element.isConnected) {
+        this._bindActions(element);
+      }
+    }
+
+    if (attributeChanges.size > 0) {
+      this._applyAttributeChanges(attributeChanges);
+    }
+  }
+
+  /**
+   * Forward attribute changes on mounted elements to their components
+   * A changed data-<name>-* attribute the component observes (see _observedAttributes)
+   * calls instance.update(element, changedAttributes) with the attribute names minus
+   * the prefix, unless the component wrote the value itself with setAttr(). Removing
+   * the root data-<name> attribute unmounts the element.
+   * @private
+   * @param {Map<HTMLElement, Map<string, string|null>>} attributeChanges - Old values per attribute
+   */
+  _applyAttributeChanges(attributeChanges) {
+    for (const [element, changes] of attributeChanges) {
+      if (!element.isConnected) continue;
+
+      for (const [componentName, instance] of this.instances) {
+        if (!instance.elements?.has(element) || typeof instance._getSelector !== 'function') {
+          continue;
+        }
+
+        const prefix = instance._getSelector();
+
+        if (changes.has(prefix) && !element.hasAttribute(prefix)) {
+          this._unmountElement(componentName, element, 'attribute-removed');
+          continue;
+        }
+
+        const changedAttributes = [];
+        for (const [attribute, oldValue] of changes) {
+          if (
+            attribute.startsWith(`${prefix}-`) &&
+            element.getAttribute(attribute) !== oldValue &&
+            !instance._isOwnWrite?.(element, attribute)
+          ) {
+            changedAttributes.push(attribute.slice(prefix.length + 1));
+          }
+        }
+
+        if (changedAttributes.length === 0) continue;
+
+        try {
+          instance.update(element, changedAttributes);
+
+          this.eventBus.emit('page:component-updated', {
+            componentName,
+            element,
+            instance,
+            changedAttributes,
+          });
+        } catch (error) {
+          this._handleComponentError({ componentName, element, phase: 'update', error, instance });
+        }
+      }
+    }
   }
 
   /**
@@ -1031,6 +1419,8 @@ export class PageManager {
         }
       }
 
+      this._bindActionsWithin(addedNodes || [root]);
+
       // Update performance metrics
       if (this.options.trackPerformance) {
         const duration = performance.now() - startTime;
@@ -1069,40 +1459,25 @@ export class PageManager {
       return;
     }
 
+    // Non-eager strategies defer both module loading and mounting per element
+    const strategy = this._parseMountStrategy(config);
+    if (strategy.type !== 'eager') {
+      for (const element of elements) {
+        this._scheduleMount(config, element, fragmentTarget, strategy);
+      }
+      return;
+    }
+
     const instance = this._ensureInstance(config);
     let mountedCount = 0;
 
     for (const element of elements) {
-      try {
-        if (instance.elements?.has(element)) {
-          this.logger?.debug(
-            `[PageManager] Skipping ${config.name} mount — element already mounted by this component`,
-            { config: config.name, element }
-          );
-          continue;
-        }
-
-        instance.mount(element);
-
-        if (fragmentTarget) {
-          element.setAttribute('data-fragment-target', fragmentTarget);
-        }
-
+      if (this._mountElement(config, instance, element, fragmentTarget)) {
         mountedCount++;
-
-        this.eventBus.emit('page:component-mounted', {
-          componentName: config.name,
-          element,
-          instance,
-          fragmentTarget,
-        });
-      } catch (error) {
-        this.logger?.error(`Failed to mount ${config.name} on element`, { error, element });
       }
     }
 
     if (mountedCount > 0) {
-      this.performanceMetrics.componentMounts += mountedCount;
       this.logger?.info(`Mounted ${mountedCount} instances of ${config.name}`, {
         fragmentTarget,
       });
@@ -1110,88 +1485,717 @@ export class PageManager {
   }
 
   /**
-   * Unmount all components within a root
+   * Mount a single element and emit page:component-mounted
+   * @private
+   * @returns {boolean} Whether the element was mounted
    */
-  unmountAllWithin(root) {
-    this.logger?.group('Unmounting components within root');
-
+  _mountElement(config, instance, element, fragmentTarget) {
     try {
-      let unmountedCount = 0;
+      if (instance.elements?.has(element)) {
+        this.logger?.debug(
+          `[PageManager] Skipping ${config.name} mount — element already mounted by this component`,
+          { config: config.name, element }
+        );
+        return false;
+      }
 
-      for (const [componentName, instance] of this.instances) {
-        if (!instance._elementsKeys) continue;
+      // Don't retry an element the error boundary already gave up on
+      if (this._hasFailed(config.name, instance, element)) {
+        return false;
+      }
 
-        for (const element of instance._elementsKeys()) {
-          if (root.contains(element)) {
-            try {
-              instance.unmount(element);
-              element.removeAttribute('data-fragment-target');
-              unmountedCount++;
+      const endMount = this._startSpan(`component:mount:${config.name}`, {
+        componentName: config.name,
+      });
+      instance.mount(element);
+      endMount?.();
 
-              this.eventBus.emit('page:component-unmounted', {
-                componentName,
-                element,
-                instance,
-              });
-            } catch (error) {
-              this.logger?.error(`Failed to unmount ${componentName}`, { error, element });
-            }
-          }
-        }
+      if (fragmentTarget) {
+        element.setAttribute('data-fragment-target', fragmentTarget);
       }
 
-      this.performanceMetrics.componentUnmounts += unmountedCount;
+      this.performanceMetrics.componentMounts++;
 
-      if (unmountedCount > 0) {
-        this.logger?.info(`Unmounted ${unmountedCount} component instances`);
-      }
-    } finally {
-      this.logger?.groupEnd();
+      this.eventBus.emit('page:component-mounted', {
+        componentName: config.name,
+        element,
+        instance,
+        fragmentTarget,
+      });
+
+      return true;
+    } catch (error) {
+      this._handleComponentError({
+        componentName: config.name,
+        element,
+        phase: 'mount',
+        error,
+        instance,
+      });
+      return false;
     }
   }
 
   /**
-   * Unmount components from removed DOM nodes
+   * The data-<name> attribute a component keeps its state in
+   * @private
    */
-  unmountRemoved(removedNodes) {
-    let unmountedCount = 0;
+  _getStateAttribute(componentName, instance) {
+    return instance && !(instance instanceof QueuedComponentProxy) && instance._getSelector
+      ? instance._getSelector()
+      : `data-${componentName}`;
+  }
 
-    for (const [componentName, instance] of this.instances) {
-      if (!instance._elementsKeys) continue;
+  /**
+   * Whether the error boundary has marked an element as failed for a component
+   * @private
+   */
+  _hasFailed(componentName, instance, element) {
+    return (
+      element.getAttribute(this._getStateAttribute(componentName, instance)) ===
+      ComponentStates.ERROR
+    );
+  }
 
-      for (const element of instance._elementsKeys()) {
-        // Check if element is no longer in the document
-        if (!document.documentElement.contains(element)) {
-          try {
-            instance.unmount(element);
-            unmountedCount++;
+  /**
+   * Error boundary for one component on one element
+   * Failed loads and mounts set data-<name>="error" and swap in the element's
+   * <template data-<name>-fallback> content; every phase emits component:error.
+   * @private
+   * @param {Object} details
+   * @param {string} details.componentName - Component name
+   * @param {HTMLElement|null} details.element - Affected element (null for element-less load failures)
+   * @param {string} details.phase - 'load', 'mount', 'update' or 'unmount'
+   * @param {Error} details.error - The error
+   * @param {Object} [details.instance] - Component instance, when one exists
+   */
+  _handleComponentError({ componentName, element, phase, error, instance = null }) {
+    this.logger?.error(`${componentName} failed during ${phase}`, { error, element });
 
-            this.eventBus.emit('page:component-unmounted', {
-              componentName,
-              element,
-              instance,
-              reason: 'removed',
-            });
-          } catch (error) {
-            this.logger?.error(`Failed to unmount removed ${componentName}`, { error, element });
-          }
-        }
+    if (element && (phase === 'load' || phase === 'mount')) {
+      const attribute = this._getStateAttribute(componentName, instance);
+      element.setAttribute(attribute, ComponentStates.ERROR);
+
+      const fallback = element.querySelector(`template[${attribute}-fallback]`);
+      if (fallback) {
+        element.replaceChildren(fallback.content.cloneNode(true));
       }
     }
 
-    if (unmountedCount > 0) {
-      this.logger?.info(`Unmounted ${unmountedCount} components from removed nodes`);
+    this.eventBus.emit('component:error', {
+      componentName,
+      element,
+      elementPath: element ? getElementPath(element) : null,
+      phase,
+      error,
+    });
+  }
+
+  /**
+   * Parse a registration's mount strategy
+   * Supports 'eager' (default), 'visible', 'idle', 'interaction' and 'media(<query>)'
+   * @private
+   * @returns {{type: string, query?: string}}
+   */
+  _parseMountStrategy(config) {
+    const mount = (config.mount || 'eager').trim();
+
+    const mediaMatch = mount.match(/^media\((.+)\)$/);
+    if (mediaMatch) {
+      return { type: 'media', query: mediaMatch[1].trim() };
     }
+
+    if (['eager', 'visible', 'idle', 'interaction'].includes(mount)) {
+      return { type: mount };
+    }
+
+    this.logger?.warn(`Unknown mount strategy "${mount}" for ${config.name}, mounting eagerly`);
+    return { type: 'eager' };
   }
 
   /**
-   * Ensure component instance exists with enhanced loading
+   * Defer loading and mounting of a component on an element until its strategy triggers
+   * @private
    */
-  _ensureInstance(config) {
-    // Return existing instance
-    const existingInstance = this.instances.get(config.name);
-    if (existingInstance) {
-      return existingInstance;
+  _scheduleMount(config, element, fragmentTarget, strategy) {
+    if (this._pendingMounts.get(element)?.has(config.name)) return;
+
+    const mount = () =>
+      this._mountElement(config, this._ensureInstance(config), element, fragmentTarget);
+    const settle = () => {
+      this._removePendingMount(element, config.name);
+      mount();
+    };
+
+    // Register before arming: a strategy may settle synchronously (e.g. no IntersectionObserver)
+    if (!this._pendingMounts.has(element)) {
+      this._pendingMounts.set(element, new Map());
+    }
+    this._pendingMounts.get(element).set(config.name, () => {});
+
+    let cancel;
+    switch (strategy.type) {
+      case 'visible':
+        cancel = this._whenVisible(element, settle);
+        break;
+      case 'idle':
+        cancel = this._whenIdle(settle);
+        break;
+      case 'interaction':
+        cancel = this._whenInteracted(element, settle);
+        break;
+      case 'media': {
+        // Media watchers stay registered so the element unmounts when the query stops matching
+        let mounted = false;
+        cancel = this._whenMedia(
+          strategy.query,
+          () => {
+            if (!mounted) mounted = mount();
+          },
+          () => {
+            if (!mounted) return;
+            mounted = false;
+            this._unmountElement(config.name, element, 'media');
+          }
+        );
+        break;
+      }
+    }
+
+    const pending = this._pendingMounts.get(element);
+    if (!pending?.has(config.name)) return;
+    pending.set(config.name, cancel);
+
+    this.eventBus.emit('page:component-mount-deferred', {
+      componentName: config.name,
+      element,
+      strategy: config.mount,
+      fragmentTarget,
+    });
+  }
+
+  /**
+   * Forget a pending mount without cancelling it
+   * @private
+   */
+  _removePendingMount(element, componentName) {
+    const pending = this._pendingMounts.get(element);
+    if (!pending) return;
+    pending.delete(componentName);
+    if (pending.size === 0) {
+      this._pendingMounts.delete(element);
+    }
+  }
+
+  /**
+   * Cancel pending mounts (and media watchers) for elements matching a predicate
+   * @private
+   * @param {Function} predicate - Receives each element with pending mounts
+   * @param {string} [componentName] - Only cancel this component's pending mounts
+   */
+  _cancelPendingMounts(predicate, componentName = null) {
+    for (const [element, pending] of this._pendingMounts) {
+      if (!predicate(element)) continue;
+
+      for (const [name, cancel] of pending) {
+        if (componentName && name !== componentName) continue;
+        cancel();
+        pending.delete(name);
+      }
+
+      if (pending.size === 0) {
+        this._pendingMounts.delete(element);
+      }
+    }
+  }
+
+  /**
+   * Run callback once the element approaches the viewport
+   * @private
+   * @returns {Function} Cancel function
+   */
+  _whenVisible(element, callback) {
+    if (!('IntersectionObserver' in window)) {
+      callback();
+      return () => {};
+    }
+
+    if (!this._lazyObserver) {
+      this._lazyCallbacks = new Map();
+      this._lazyObserver = new IntersectionObserver(
+        entries => {
+          for (const entry of entries) {
+            if (!entry.isIntersecting) continue;
+            const callbacks = this._lazyCallbacks.get(entry.target);
+            if (!callbacks) continue;
+            this._lazyCallbacks.delete(entry.target);
+            this._lazyObserver.unobserve(entry.target);
+            callbacks.forEach(cb => cb());
+          }
+        },
+        { rootMargin: this.options.lazyLoadThreshold }
+      );
+    }
+
+    if (!this._lazyCallbacks.has(element)) {
+      this._lazyCallbacks.set(element, new Set());
+      this._lazyObserver.observe(element);
+    }
+    this._lazyCallbacks.get(element).add(callback);
+
+    return () => {
+      const callbacks = this._lazyCallbacks?.get(element);
+      if (!callbacks) return;
+      callbacks.delete(callback);
+      if (callbacks.size === 0) {
+        this._lazyCallbacks.delete(element);
+        this._lazyObserver?.unobserve(element);
+      }
+    };
+  }
+
+  /**
+   * Run callback when the browser is idle
+   * @private
+   * @returns {Function} Cancel function
+   */
+  _whenIdle(callback) {
+    if ('requestIdleCallback' in window) {
+      const id = requestIdleCallback(callback, { timeout: this.options.idleTimeout });
+      return () => cancelIdleCallback(id);
+    }
+
+    const id = setTimeout(callback, 1);
+    return () => clearTimeout(id);
+  }
+
+  /**
+   * Run callback on the first user interaction with the element
+   * @private
+   * @returns {Function} Cancel function
+   */
+  _whenInteracted(element, callback) {
+    const controller = new AbortController();
+    const handler = () => {
+      controller.abort();
+      callback();
+    };
+
+    for (const type of this.options.interactionEvents) {
+      element.addEventListener(type, handler, { signal: controller.signal, passive: true });
+    }
+
+    return () => controller.abort();
+  }
+
+  /**
+   * Track a media query, calling onMatch/onUnmatch as it changes
+   * @private
+   * @returns {Function} Cancel function
+   */
+  _whenMedia(query, onMatch, onUnmatch) {
+    const mediaQuery = window.matchMedia(query);
+    const handler = event => (event.matches ? onMatch() : onUnmatch());
+
+    mediaQuery.addEventListener('change', handler);
+    if (mediaQuery.matches) {
+      onMatch();
+    }
+
+    return () => mediaQuery.removeEventListener('change', handler);
+  }
+
+  /**
+   * Unmount a single element from a component and emit page:component-unmounted
+   * @private
+   */
+  _unmountElement(componentName, element, reason) {
+    const instance = this.instances.get(componentName);
+    if (!instance) return;
+
+    try {
+      instance.unmount(element);
+      element.removeAttribute('data-fragment-target');
+      this.performanceMetrics.componentUnmounts++;
+
+      this.eventBus.emit('page:component-unmounted', {
+        componentName,
+        element,
+        instance,
+        reason,
+      });
+    } catch (error) {
+      this._handleComponentError({ componentName, element, phase: 'unmount', error, instance });
+    }
+  }
+
+  /**
+   * Register a component at runtime and mount it on matching elements in the live DOM
+   * @param {Object} config - Component configuration (as produced by ComponentRegistry)
+   * @returns {boolean} Whether the component was registered
+   */
+  register(config) {
+    if (this.registry.some(c => c.name === config.name)) {
+      this.logger?.warn(`Component ${config.name} is already registered`);
+      return false;
+    }
+
+    this.registry.push(config);
+
+    this.eventBus.emit('page:component-registered', {
+      componentName: config.name,
+      config,
+    });
+
+    try {
+      this._mountComponentConfig(config, this.container, null, null);
+    } catch (error) {
+      this.logger?.error(`Failed to mount component ${config.name}`, { error, config });
+      this.eventBus.emit('page:component-mount-error', {
+        componentName: config.name,
+        error,
+        config,
+        fragmentTarget: null,
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Unregister a component at runtime, unmounting every element and dropping its instance
+   * @param {string} componentName - Component name
+   * @returns {boolean} Whether the component was registered
+   */
+  unregister(componentName) {
+    const index = this.registry.findIndex(c => c.name === componentName);
+    if (index === -1) {
+      this.logger?.warn(`Cannot unregister unknown component: ${componentName}`);
+      return false;
+    }
+
+    const [config] = this.registry.splice(index, 1);
+
+    this._cancelPendingMounts(() => true, componentName);
+
+    const instance = this.instances.get(componentName);
+    if (instance) {
+      if (instance._elementsKeys) {
+        for (const element of [...instance._elementsKeys()]) {
+          this._unmountElement(componentName, element, 'unregistered');
+        }
+      }
+
+      // A loading placeholder would only queue destroy() for an instance that never arrives
+      if (!(instance instanceof QueuedComponentProxy)) {
+        try {
+          instance.destroy?.();
+        } catch (error) {
+          this.logger?.warn(`Error destroying ${componentName}`, { error });
+        }
+      }
+    }
+
+    // Dropping the instance also discards a still-loading placeholder (see _handleAsyncLoading)
+    this.instances.delete(componentName);
+    this.loadingPromises.delete(componentName);
+    this.retryCount.delete(componentName);
+    this._preloads.delete(componentName);
+
+    this.eventBus.emit('page:component-unregistered', {
+      componentName,
+      config,
+    });
+
+    this.logger?.info(`Unregistered component ${componentName}`);
+    return true;
+  }
+
+  /**
+   * Bind data-action descriptors on every element within the given nodes
+   * @private
+   * @param {HTMLElement[]} nodes - Roots to scan (each root included)
+   */
+  _bindActionsWithin(nodes) {
+    for (const node of nodes) {
+      if (node.matches?.('[data-action]')) {
+        this._bindActions(node);
+      }
+      node.querySelectorAll?.('[data-action]').forEach(element => this._bindActions(element));
+    }
+  }
+
+  /**
+   * Wire an element's data-action descriptors to component methods
+   *
+   * Descriptor syntax (space separated for several actions):
+   *   [event[:modifier...]->]component#method[:arg1,arg2]
+   *
+   * The method is called on the component mounted on the element matched by
+   * data-action-target, or else on the closest ancestor (or self) matching the
+   * component's selector. Modifiers: prevent, stop, once. Without an event the
+   * element's natural event is used (submit for forms, change for fields, click otherwise).
+   *
+   * @example
+   * <button data-action="click->tabs#activateTab:panel-2">Specs</button>
+   * <th data-action="datatable#sort:price,desc" data-action-target="#orders">Price</th>
+   *
+   * @private
+   */
+  _bindActions(element) {
+    if (this._actionControllers.has(element)) return;
+
+    const actions = this._parseActions(element.getAttribute('data-action') || '');
+    if (actions.length === 0) return;
+
+    const controller = new AbortController();
+    this._actionControllers.set(element, controller);
+
+    for (const action of actions) {
+      const type = action.event || this._defaultActionEvent(element);
+
+      element.addEventListener(type, event => this._dispatchAction(element, action, event), {
+        signal: controller.signal,
+        once: action.modifiers.includes('once'),
+      });
+    }
+  }
+
+  /**
+   * Abort an element's action listeners
+   * @private
+   */
+  _unbindActions(element) {
+    const controller = this._actionControllers.get(element);
+    if (!controller) return;
+    controller.abort();
+    this._actionControllers.delete(element);
+  }
+
+  /**
+   * Abort action listeners for elements matching a predicate
+   * @private
+   */
+  _unbindActionsWhere(predicate) {
+    for (const element of [...this._actionControllers.keys()]) {
+      if (predicate(element)) {
+        this._unbindActions(element);
+      }
+    }
+  }
+
+  /**
+   * Parse a data-action attribute value into action descriptors
+   * @private
+   * @returns {Array<{event: string|null, modifiers: string[], component: string, method: string, args: string[]}>}
+   */
+  _parseActions(value) {
+    const actions = [];
+
+    for (const descriptor of value.trim().split(/\s+/).filter(Boolean)) {
+      const match = descriptor.match(/^(?:([\w:.-]+)->)?([\w-]+)#([\w$]+)(?::(.*))?$/);
+
+      if (!match) {
+        this.logger?.warn(`Invalid data-action descriptor "${descriptor}"`);
+        continue;
+      }
+
+      const [, eventPart, component, method, argPart] = match;
+      const [event = null, ...modifiers] = eventPart ? eventPart.split(':') : [];
+
+      actions.push({
+        event,
+        modifiers,
+        component,
+        method,
+        args: argPart ? argPart.split(',') : [],
+      });
+    }
+
+    return actions;
+  }
+
+  /**
+   * Natural event for an element when a descriptor omits one
+   * @private
+   */
+  _defaultActionEvent(element) {
+    const tag = element.tagName.toLowerCase();
+
+    if (tag === 'form') return 'submit';
+    if (tag === 'select' || tag === 'textarea') return 'change';
+    if (tag === 'input') {
+      return ['submit', 'button', 'reset', 'image'].includes(element.type) ? 'click' : 'change';
+    }
+    return 'click';
+  }
+
+  /**
+   * Call the component method described by an action
+   * @private
+   */
+  _dispatchAction(element, action, event) {
+    if (action.modifiers.includes('prevent')) event.preventDefault();
+    if (action.modifiers.includes('stop')) event.stopPropagation();
+
+    const config = this.registry.find(c => c.name === action.component);
+    if (!config) {
+      this.logger?.warn(`data-action references unknown component: ${action.component}`, {
+        element,
+      });
+      return;
+    }
+
+    const targetSelector = element.getAttribute('data-action-target');
+    const target = targetSelector
+      ? document.querySelector(targetSelector)
+      : element.closest(config.selector);
+
+    if (!target) {
+      this.logger?.warn(`data-action target not found for ${action.component}#${action.method}`, {
+        element,
+        selector: targetSelector || config.selector,
+      });
+      return;
+    }
+
+    const handle = this.getComponent(target, action.component);
+    if (!handle || action.method.startsWith('_')) {
+      this.logger?.warn(`Cannot call ${action.component}#${action.method} from data-action`, {
+        element,
+        target,
+      });
+      return;
+    }
+
+    const onError = error => {
+      this.logger?.error(`data-action ${action.component}#${action.method} failed`, {
+        error,
+        element,
+      });
+    };
+
+    try {
+      const result = handle[action.method](...action.args);
+      if (result instanceof Promise) {
+        result.catch(onError);
+      }
+    } catch (error) {
+      onError(error);
+    }
+
+    this.eventBus.emit('page:action', {
+      element,
+      target,
+      componentName: action.component,
+      method: action.method,
+      args: action.args,
+      event,
+    });
+  }
+
+  /**
+   * Unmount all components within a root
+   */
+  unmountAllWithin(root) {
+    this.logger?.group('Unmounting components within root');
+
+    try {
+      let unmountedCount = 0;
+
+      // Drop deferred mounts and action listeners for the outgoing content
+      this._cancelPendingMounts(element => root.contains(element));
+      this._unbindActionsWhere(element => root.contains(element));
+
+      for (const [componentName, instance] of this.instances) {
+        if (!instance._elementsKeys) continue;
+
+        for (const element of instance._elementsKeys()) {
+          if (root.contains(element)) {
+            try {
+              instance.unmount(element);
+              element.removeAttribute('data-fragment-target');
+              unmountedCount++;
+
+              this.eventBus.emit('page:component-unmounted', {
+                componentName,
+                element,
+                instance,
+              });
+            } catch (error) {
+              this._handleComponentError({
+                componentName,
+                element,
+                phase: 'unmount',
+                error,
+                instance,
+              });
+            }
+          }
+        }
+      }
+
+      this.performanceMetrics.componentUnmounts += unmountedCount;
+
+      if (unmountedCount > 0) {
+        this.logger?.info(`Unmounted ${unmountedCount} component instances`);
+      }
+    } finally {
+      this.logger?.groupEnd();
+    }
+  }
+
+  /**
+   * Unmount components from removed DOM nodes
+   */
+  unmountRemoved(removedNodes) {
+    let unmountedCount = 0;
+
+    this._cancelPendingMounts(element => !document.documentElement.contains(element));
+    this._unbindActionsWhere(element => !document.documentElement.contains(element));
+
+    for (const [componentName, instance] of this.instances) {
+      if (!instance._elementsKeys) continue;
+
+      for (const element of instance._elementsKeys()) {
+        // Check if element is no longer in the document
+        if (!document.documentElement.contains(element)) {
+          try {
+            instance.unmount(element);
+            unmountedCount++;
+
+            this.eventBus.emit('page:component-unmounted', {
+              componentName,
+              element,
+              instance,
+              reason: 'removed',
+            });
+          } catch (error) {
+            this._handleComponentError({
+              componentName,
+              element,
+              phase: 'unmount',
+              error,
+              instance,
+            });
+          }
+        }
+      }
+    }
+
+    if (unmountedCount > 0) {
+      this.logger?.info(`Unmounted ${unmountedCount} components from removed nodes`);
+    }
+  }
+
+  /**
+   * Ensure component instance exists with enhanced loading
+   */
+  _ensureInstance(config) {
+    // Return existing instance
+    const existingInstance = this.instances.get(config.name);
+    if (existingInstance) {
+      return existingInstance;
     }
 
     // Handle dependencies
@@ -1206,13 +2210,18 @@ export class PageManager {
       }
     }
 
+    // Use a module warmed by preloadComponentsIn(), if there is one
+    const preload = this._preloads.get(config.name);
+    this._preloads.delete(config.name);
+
     // Try to load component
-    const loaderResult = config.loader();
+    const loaderResult = preload ? (preload.module ?? preload.promise) : config.loader();
 
     // Handle synchronous loading
     if (!(loaderResult instanceof Promise)) {
       const instance = this._createInstance(loaderResult.default, config);
       this.instances.set(config.name, instance);
+      this._refreshObservedAttributes();
       this._trackComponentLoad(config.name);
       return instance;
     }
@@ -1221,45 +2230,238 @@ export class PageManager {
     return this._handleAsyncLoading(config, loaderResult);
   }
 
+  /**
+   * Start loading the modules of components used in some HTML, before it is mounted
+   * Only eagerly mounted components are warmed; deferred strategies ('visible',
+   * 'idle', ...) keep loading their modules when they trigger. A warmed module
+   * that has resolved by mount time is instantiated synchronously.
+   * @param {string|Document|Element} source - HTML string or parsed tree to scan
+   * @returns {Promise<string[]>} Names of the components warmed, once their loads settle
+   *
+   * @example
+   * const { data } = await router.get('/checkout');
+   * await pageManager.preloadComponentsIn(data);
+   */
+  async preloadComponentsIn(source) {
+    const root =
+      typeof source === 'string' ? new DOMParser().parseFromString(source, 'text/html') : source;
+
+    const configs = this._findRegisteredIn(root).filter(
+      config => this._parseMountStrategy(config).type === 'eager'
+    );
+    const loads = configs.map(config => this._preloadComponent(config)).filter(Boolean);
+    if (loads.length === 0) return [];
+
+    await Promise.allSettled(loads);
+    return configs.map(config => config.name);
+  }
+
+  /**
+   * Registered components with at least one matching element under root
+   * @private
+   */
+  _findRegisteredIn(root) {
+    return this.registry.filter(config => {
+      try {
+        return root.querySelector(config.selector) !== null;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Call a component's loader (and its dependencies') ahead of mounting
+   * @private
+   * @returns {Promise|null} The load, or null if already loaded or loading
+   */
+  _preloadComponent(config) {
+    if (this.instances.has(config.name) || this._preloads.has(config.name)) return null;
+
+    for (const dependency of config.dependsOn || []) {
+      const depConfig = this.registry.find(c => c.name === dependency);
+      if (depConfig) this._preloadComponent(depConfig);
+    }
+
+    const endPreload = this._startSpan(`component:preload:${config.name}`, {
+      componentName: config.name,
+    });
+    const entry = { module: null, promise: null };
+
+    try {
+      const result = config.loader();
+      if (!(result instanceof Promise)) {
+        entry.module = result;
+      }
+      entry.promise = Promise.resolve(result).then(module => {
+        entry.module = module;
+        endPreload?.({ status: 'loaded' });
+        return module;
+      });
+    } catch (error) {
+      entry.promise = Promise.reject(error);
+    }
+
+    // A failed preload is dropped; mounting calls the loader again and reports the error
+    entry.promise.catch(error => {
+      endPreload?.({ status: 'error' });
+      if (this._preloads.get(config.name) === entry) {
+        this._preloads.delete(config.name);
+      }
+      this.logger?.debug(`Preloading ${config.name} failed`, { error });
+    });
+
+    this._preloads.set(config.name, entry);
+    return entry.promise;
+  }
+
+  /**
+   * Remember which components a page uses so hovering a link to it can hint their modules
+   * @private
+   */
+  _rememberPageComponents(url, root) {
+    const key = this._pageKey(url);
+    const names = this._findRegisteredIn(root).map(config => config.name);
+
+    this._pageComponents.delete(key);
+    this._pageComponents.set(key, names);
+
+    // Keep the most recently seen pages only
+    if (this._pageComponents.size > 50) {
+      this._pageComponents.delete(this._pageComponents.keys().next().value);
+    }
+  }
+
+  /**
+   * Add modulepreload hints for the components a hovered/focused router link needs
+   * Names come from the link's `data-router-preload` attribute (space or comma
+   * separated) or from an earlier visit to its URL. Only registrations with a
+   * root-relative or absolute module `path` can be hinted.
+   * @private
+   */
+  _onLinkIntent(event) {
+    const link = event.target?.closest?.('a[data-router-enhanced="true"]');
+    if (!link || link === this._lastIntentLink) return;
+    this._lastIntentLink = link;
+
+    const attribute = link.getAttribute('data-router-preload');
+    const names = attribute
+      ? attribute.split(/[\s,]+/).filter(Boolean)
+      : this._pageComponents.get(this._pageKey(link.href));
+
+    for (const name of names || []) {
+      const config = this.registry.find(c => c.name === name);
+      if (!config?.path || this.instances.has(name) || this._preloads.has(name)) continue;
+      if (!/^(\/|[a-z][a-z\d+.-]*:)/i.test(config.path)) continue;
+      if (this._modulePreloadHints.has(config.path)) continue;
+
+      const hint = document.createElement('link');
+      hint.rel = 'modulepreload';
+      hint.href = config.path;
+      document.head.appendChild(hint);
+      this._modulePreloadHints.add(config.path);
+    }
+  }
+
+  /**
+   * URL without its hash, as a map key
+   * @private
+   */
+  _pageKey(url) {
+    const parsed = new URL(url, location.href);
+    parsed.hash = '';
+    return parsed.toString();
+  }
+
   /**
    * Handle asynchronous component loading
+   * A placeholder queues mounts, unmounts and method calls until the module
+   * loads. Failed loads are retried with backoff on the same placeholder and
+   * queue; elements are only marked failed once the last attempt fails.
    */
   _handleAsyncLoading(config, loaderPromise) {
     const queue = [];
     const placeholder = new QueuedComponentProxy(
       element => queue.push(['mount', element]),
-      element => queue.push(['unmount', element])
+      element => queue.push(['unmount', element]),
+      (method, args) =>
+        new Promise((resolve, reject) => {
+          queue.push(['call', null, { method, args, resolve, reject }]);
+        })
     );
 
     this.instances.set(config.name, placeholder);
+    this._awaitComponentModule(config, placeholder, queue, loaderPromise);
+
+    return placeholder;
+  }
 
+  /**
+   * Swap a loading placeholder for the real instance once its module loads
+   * @private
+   */
+  _awaitComponentModule(config, placeholder, queue, loaderPromise) {
     // Track loading promise to prevent duplicate loads
     this.loadingPromises.set(config.name, loaderPromise);
 
+    const endLoad = this._startSpan(`component:load:${config.name}`, {
+      componentName: config.name,
+    });
+
     loaderPromise
       .then(module => {
+        endLoad?.({ status: 'loaded' });
+
+        // The component was unregistered (or reloaded) while its module was loading
+        if (this.instances.get(config.name) !== placeholder) {
+          this.logger?.debug(`Discarding stale load of ${config.name}`);
+          return;
+        }
+
         const realInstance = this._createInstance(module.default, config);
 
         // Process queued operations
-        for (const [action, element] of queue) {
+        for (const [action, element, call] of queue) {
+          if (action === 'call') {
+            this._replayCall(config.name, realInstance, call);
+            continue;
+          }
+
+          // The same element can be queued more than once; only report it once
+          if (action === 'mount' && this._hasFailed(config.name, realInstance, element)) {
+            continue;
+          }
+
           try {
+            const endAction = this._startSpan(`component:${action}:${config.name}`, {
+              componentName: config.name,
+            });
             realInstance[action](element);
+            endAction?.();
             if (action === 'mount') {
               element.classList.remove('component-loading');
               element.removeAttribute('data-component-state');
             }
           } catch (error) {
-            this.logger?.error(`Dequeued ${config.name}.${action} failed`, { error, element });
             // Add error state for failed mounts
             if (action === 'mount') {
               element.classList.remove('component-loading');
               element.classList.add('component-error');
               element.setAttribute('data-component-state', 'error');
             }
+
+            this._handleComponentError({
+              componentName: config.name,
+              element,
+              phase: action,
+              error,
+              instance: realInstance,
+            });
           }
         }
 
         this.instances.set(config.name, realInstance);
+        this._refreshObservedAttributes();
         this._trackComponentLoad(config.name);
         this.loadingPromises.delete(config.name);
         this.retryCount.delete(config.name);
@@ -1275,18 +2477,12 @@ export class PageManager {
         });
       })
       .catch(error => {
-        this.logger?.error(`Failed to load component ${config.name}`, { error });
+        endLoad?.({ status: 'error' });
+        if (this.instances.get(config.name) !== placeholder) return;
 
-        // Remove loading state and add error state for all queued elements
-        for (const [action, element] of queue) {
-          if (action === 'mount') {
-            element.classList.remove('component-loading');
-            element.classList.add('component-error');
-            element.setAttribute('data-component-state', 'error');
-          }
-        }
+        this.logger?.error(`Failed to load component ${config.name}`, { error });
 
-        // Handle retry logic
+        // Handle retry logic; the placeholder keeps queueing until the last attempt
         if (this.options.retryFailedLoads) {
           const currentRetries = this.retryCount.get(config.name) || 0;
           if (currentRetries < this.options.maxRetryAttempts) {
@@ -1297,7 +2493,8 @@ export class PageManager {
 
             setTimeout(
               () => {
-                this._handleAsyncLoading(config, config.loader());
+                if (this.instances.get(config.name) !== placeholder) return;
+                this._awaitComponentModule(config, placeholder, queue, config.loader());
               },
               Math.pow(2, currentRetries) * 1000
             ); // Exponential backoff
@@ -1305,17 +2502,125 @@ export class PageManager {
           }
         }
 
+        // Remove loading state and add error state for all queued elements
+        const failedElements = new Set();
+        for (const [action, element, call] of queue) {
+          if (action === 'call') {
+            call.reject(error);
+            continue;
+          }
+
+          if (action === 'mount') {
+            element.classList.remove('component-loading');
+            element.classList.add('component-error');
+            element.setAttribute('data-component-state', 'error');
+
+            if (failedElements.has(element)) continue;
+            failedElements.add(element);
+            this._handleComponentError({
+              componentName: config.name,
+              element,
+              phase: 'load',
+              error,
+            });
+          }
+        }
+
         this.instances.delete(config.name);
         this.loadingPromises.delete(config.name);
 
+        // Still report a final failure that had no elements waiting on it
+        if (failedElements.size === 0) {
+          this._handleComponentError({
+            componentName: config.name,
+            element: null,
+            phase: 'load',
+            error,
+          });
+        }
+
         this.eventBus.emit('page:component-load-error', {
           componentName: config.name,
           error,
           retries: this.retryCount.get(config.name) || 0,
         });
       });
+  }
 
-    return placeholder;
+  /**
+   * Replay a method call queued while the component was loading
+   * @private
+   */
+  _replayCall(componentName, instance, { method, args, resolve, reject }) {
+    if (typeof instance[method] !== 'function') {
+      reject(new TypeError(`Component ${componentName} has no public method "${method}"`));
+      return;
+    }
+
+    try {
+      resolve(instance[method](...args));
+    } catch (error) {
+      this.logger?.error(`Dequeued ${componentName}.${method} failed`, { error });
+      reject(error);
+    }
+  }
+
+  /**
+   * Get a handle for a component mounted (or matching) on an element
+   * @param {HTMLElement} element - Component element
+   * @param {string} [componentName] - Component name; defaults to the first registered match
+   * @returns {Proxy|null} Component handle (see ComponentHandle) or null if none matches
+   */
+  getComponent(element, componentName) {
+    const config = componentName
+      ? this.registry.find(c => c.name === componentName)
+      : this._findConfigsFor(element)[0];
+
+    if (!config || !element?.matches?.(config.selector)) {
+      return null;
+    }
+
+    return createComponentHandle(this, config, element);
+  }
+
+  /**
+   * Get handles for every registered component matching an element
+   * @param {HTMLElement} element - Component element
+   * @returns {Proxy[]} Component handles
+   */
+  getComponents(element) {
+    return this._findConfigsFor(element).map(config =>
+      createComponentHandle(this, config, element)
+    );
+  }
+
+  /**
+   * Registered configurations whose selector matches an element
+   * @private
+   */
+  _findConfigsFor(element) {
+    if (!element?.matches) return [];
+    return this.registry.filter(config => element.matches(config.selector));
+  }
+
+  /**
+   * Resolve the instance a handle call should go to, settling a deferred mount first
+   * @private
+   */
+  _resolveInstanceFor(config, element) {
+    if (!this.registry.includes(config)) {
+      throw new Error(`Component ${config.name} is no longer registered`);
+    }
+
+    const cancel = this._pendingMounts.get(element)?.get(config.name);
+
+    if (cancel && this._parseMountStrategy(config).type !== 'media') {
+      cancel();
+      this._removePendingMount(element, config.name);
+      this._mountElement(config, this._ensureInstance(config), element, null);
+    }
+
+    return this._ensureInstance(config);
   }
 
   /**
@@ -1355,8 +2660,9 @@ export class PageManager {
       // Try the standard framework pattern first (with DI)
       const instance = new ComponentClass({
         eventBus: this.eventBus,
-        logger: this.logger,
+        logger: this.logger?.forNamespace?.(`component:${config.name}`) ?? this.logger,
         router: this.router,
+        mode: this.mode,
         config,
       });
 
@@ -1452,6 +2758,15 @@ export class PageManager {
     };
   }
 
+  /**
+   * Start a User Timing span when trackPerformance is on
+   * @private
+   * @returns {Function|null} end(extraDetail), or null when not tracking
+   */
+  _startSpan(name, detail) {
+    return this.options.trackPerformance ? startSpan(name, detail, this.eventBus) : null;
+  }
+
   /**
    * Get performance metrics
    */
@@ -1517,6 +2832,26 @@ export class PageManager {
     return states;
   }
 
+  /**
+   * Elements in the document matching a component's selector, with their state
+   * @param {string} componentName - Registered component name
+   * @returns {Array<{element: HTMLElement, mounted: boolean, state: string|null}>}
+   */
+  getElementStates(componentName) {
+    const config = this.registry.find(c => c.name === componentName);
+    if (!config) return [];
+
+    const instance = this.instances.get(componentName);
+    const attribute = this._getStateAttribute(componentName, instance);
+    const isRealInstance = instance && !(instance instanceof QueuedComponentProxy);
+
+    return Array.from(document.querySelectorAll(config.selector), element => ({
+      element,
+      mounted: Boolean(isRealInstance && instance.elements?.has(element)),
+      state: element.getAttribute(attribute),
+    }));
+  }
+
   getMetrics() {
     return {
       componentMounts: this.performanceMetrics?.componentMounts || 0,
@@ -1577,10 +2912,13 @@ export class PageManager {
       this.observer = null;
     }
 
-    // Stop lazy loading observer
+    // Cancel deferred mounts and action listeners, stop lazy loading observer
+    this._cancelPendingMounts(() => true);
+    this._unbindActionsWhere(() => true);
     if (this._lazyObserver) {
       this._lazyObserver.disconnect();
       this._lazyObserver = null;
+      this._lazyCallbacks = null;
     }
 
     // Clear cleanup interval
@@ -1612,6 +2950,8 @@ export class PageManager {
     this.instances.clear();
     this.loadingPromises.clear();
     this.retryCount.clear();
+    this._preloads.clear();
+    this._pageComponents.clear();
     if (this._mountedElements) this._mountedElements.clear();
     if (this._errorCounts) this._errorCounts.clear();
     if (this._circuitBreakers) this._circuitBreakers.clear();
@@ -1620,6 +2960,15 @@ export class PageManager {
     this.eventBus.off('router:navigate-success');
     this.eventBus.off('router:popstate');
     this.eventBus.off('component:lazy-load');
+    this._unsubscribePrefetched?.();
+    this._revalidation?.abort();
+    if (this.snapshots) {
+      window.removeEventListener('scroll', this._onScroll);
+      history.scrollRestoration = this._scrollRestoration;
+      this.snapshots.clear();
+    }
+    document.removeEventListener('pointerover', this._onLinkIntent);
+    document.removeEventListener('focusin', this._onLinkIntent);
 
     this.eventBus.emit('page-manager:destroyed', {});
 
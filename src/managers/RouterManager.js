@@ -1,3 +1,5 @@
+import { startSpan } from '../utils/performance-utils.js';
+
 /**
  * RouterManager - Enhanced routing component for the Enhancement Framework
  * Handles client-side navigation, history management, and fragment loading
@@ -58,6 +60,22 @@ export class RouterManager {
       // Smooth scroll options
       scrollDuration: 800, // 800ms default for snappy feel
       scrollEasing: 'ease-in-out', // CSS easing function
+      // Record User Timing spans and emit metrics:measure events
+      trackPerformance: false,
+      // Redirects a single navigation may go through before it is cancelled
+      maxRedirects: 5,
+      // Programmatic navigate() calls: 'latest' aborts the navigation in flight,
+      // 'queue' waits for it (links, forms and back/forward always use 'latest')
+      navigationMode: 'latest',
+      // Default prefetch mode for enhanced links: 'hover', 'viewport', 'eager' or 'none'
+      // (per link or container with data-router-prefetch)
+      prefetch: 'none',
+      prefetchDelay: 65, // Hover intent delay (ms)
+      prefetchTTL: 30000, // How long a prefetched response may be used (ms)
+      prefetchCacheSize: 20, // Prefetched responses kept
+      // Forms submitted through the router: 'marked' (<form data-router-form>),
+      // 'all' same-origin forms, or 'none'
+      forms: 'marked',
       ...options,
     };
 
@@ -65,10 +83,37 @@ export class RouterManager {
     this.currentUrl = new URL(location.href);
     this.isNavigating = false;
     this.scrollAnimationFrame = null;
+    // Navigation in flight ({ url, previousUrl, trigger, element, aborted, done }) and the
+    // tail of the navigation queue
+    this._navigation = null;
+    this._navigationQueue = Promise.resolve();
+    // While back/forward guards run, the navigation in flight waits here before it
+    // touches history ({ promise, release })
+    this._popstateHold = null;
+
+    // Navigation guards registered with beforeEach()
+    this.guards = [];
+    this._guardToken = null;
+    // Position in the session history, used to undo a vetoed back/forward
+    this.historyIndex = history.state?.index ?? 0;
+    // Unique id of the current history entry (e.g. for PageManager's snapshots)
+    this.historyKey = history.state?.key ?? this._createHistoryKey();
+    this._restoringPopstate = false;
+
+    // Prefetched responses: Map<url without hash, {controller, timestamp, promise}>
+    this.prefetchCache = new Map();
+    this._prefetchTimers = new Map();
+    this._prefetchObserver = null;
+    // Eager prefetches waiting for a slot, and how many are running
+    this._eagerPrefetchQueue = [];
+    this._eagerPrefetchCount = 0;
 
     // Bind event handlers
     this.boundPopState = this._onPopState.bind(this);
     this.boundLinkClick = this._onLinkClick.bind(this);
+    this.boundPrefetchIntent = this._onPrefetchIntent.bind(this);
+    this.boundPrefetchCancel = this._onPrefetchCancel.bind(this);
+    this.boundFormSubmit = this._onFormSubmit.bind(this);
 
     this._initialize();
   }
@@ -79,6 +124,15 @@ export class RouterManager {
   _initialize() {
     this.logger?.info('RouterManager initializing');
 
+    // Tag the current entry so popstate can tell back from forward
+    if (history.state?.index === undefined || history.state?.key === undefined) {
+      history.replaceState(
+        { ...history.state, index: this.historyIndex, key: this.historyKey },
+        '',
+        location.href
+      );
+    }
+
     // History events
     window.addEventListener('popstate', this.boundPopState);
     window.addEventListener('pageshow', e => {
@@ -93,6 +147,9 @@ export class RouterManager {
     // Enhance existing links
     this._enhanceLinks();
 
+    // Forms are handled by one delegated listener, so forms added later are covered too
+    document.addEventListener('submit', this.boundFormSubmit);
+
     // Listen for dynamic content changes
     this.eventBus.on('dom:content-loaded', () => {
       this._enhanceLinks();
@@ -110,6 +167,7 @@ export class RouterManager {
       if (this._shouldEnhanceLink(link)) {
         link.addEventListener('click', this.boundLinkClick);
         link.setAttribute('data-router-enhanced', 'true');
+        this._setupPrefetch(link);
         this.logger?.debug('Enhanced link', { href: link.href });
       } else {
         // Handle hash-only links for smooth scrolling
@@ -173,6 +231,266 @@ export class RouterManager {
     return true;
   }
 
+  /**
+   * Prefetch mode for a link: its own or closest container's data-router-prefetch,
+   * else the prefetch option
+   * @private
+   * @returns {'hover'|'viewport'|'eager'|'none'}
+   */
+  _prefetchMode(link) {
+    const mode =
+      link.closest('[data-router-prefetch]')?.getAttribute('data-router-prefetch') ||
+      this.options.prefetch;
+
+    return ['hover', 'viewport', 'eager'].includes(mode) ? mode : 'none';
+  }
+
+  /**
+   * Start watching an enhanced link according to its prefetch mode
+   * @private
+   */
+  _setupPrefetch(link) {
+    const mode = this._prefetchMode(link);
+
+    if (mode === 'hover') {
+      link.addEventListener('pointerenter', this.boundPrefetchIntent);
+      link.addEventListener('focus', this.boundPrefetchIntent);
+      link.addEventListener('touchstart', this.boundPrefetchIntent, { passive: true });
+      link.addEventListener('pointerleave', this.boundPrefetchCancel);
+      link.addEventListener('blur', this.boundPrefetchCancel);
+    } else if (mode === 'viewport') {
+      this._getPrefetchObserver()?.observe(link);
+    } else if (mode === 'eager') {
+      this._queueEagerPrefetch(link.href);
+    }
+  }
+
+  /**
+   * Prefetch an eager link once a slot is free
+   * At most prefetchCacheSize eager prefetches run at once, so they never evict
+   * (and abort) each other from the cache while still in flight.
+   * @private
+   */
+  _queueEagerPrefetch(url) {
+    this._eagerPrefetchQueue.push(url);
+    this._runEagerPrefetches();
+  }
+
+  /**
+   * Start queued eager prefetches up to the cache size
+   * @private
+   */
+  _runEagerPrefetches() {
+    while (
+      this._eagerPrefetchQueue.length > 0 &&
+      this._eagerPrefetchCount < this.options.prefetchCacheSize
+    ) {
+      const url = this._eagerPrefetchQueue.shift();
+      const next = () => {
+        this._eagerPrefetchCount--;
+        this._runEagerPrefetches();
+      };
+      this._eagerPrefetchCount++;
+      this.prefetch(url).then(next, next);
+    }
+  }
+
+  /**
+   * Prefetch after the pointer (or focus) has rested on a link for prefetchDelay;
+   * touches prefetch straight away
+   * @private
+   */
+  _onPrefetchIntent(event) {
+    const link = event.currentTarget;
+
+    if (event.type === 'touchstart') {
+      this.prefetch(link.href);
+      return;
+    }
+
+    if (this._prefetchTimers.has(link)) return;
+    this._prefetchTimers.set(
+      link,
+      setTimeout(() => {
+        this._prefetchTimers.delete(link);
+        this.prefetch(link.href);
+      }, this.options.prefetchDelay)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _onPrefetchCancel(event) {
+    const link = event.currentTarget;
+    clearTimeout(this._prefetchTimers.get(link));
+    this._prefetchTimers.delete(link);
+  }
+
+  /**
+   * IntersectionObserver for viewport prefetching, created on first use
+   * @private
+   */
+  _getPrefetchObserver() {
+    if (!this._prefetchObserver && typeof IntersectionObserver !== 'undefined') {
+      this._prefetchObserver = new IntersectionObserver(entries => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) continue;
+          this._prefetchObserver.unobserve(entry.target);
+          this.prefetch(entry.target.href);
+        }
+      });
+    }
+    return this._prefetchObserver;
+  }
+
+  /**
+   * Fetch a page ahead of navigation and keep the response for prefetchTTL
+   * navigate() to the same URL uses (and removes) the cached response instead of
+   * fetching again. Nothing is fetched for other origins, for the current URL or
+   * when the user has asked to save data. Emits `router:prefetched` with the HTML.
+   * @param {string|URL} url - Page URL
+   * @returns {Promise<boolean>} Whether a response is cached for the URL
+   */
+  async prefetch(url) {
+    const targetUrl = new URL(url, location.href);
+    const key = this._prefetchKey(targetUrl);
+
+    if (
+      navigator.connection?.saveData ||
+      targetUrl.origin !== location.origin ||
+      key === this._prefetchKey(this.currentUrl)
+    ) {
+      return false;
+    }
+
+    const cached = this._getPrefetched(key);
+    if (cached) {
+      return cached.promise.then(
+        () => true,
+        () => false
+      );
+    }
+
+    const entry = { controller: new AbortController(), timestamp: Date.now(), promise: null };
+    entry.promise = this._fetchForPrefetch(key, entry.controller).then(result => {
+      entry.timestamp = Date.now();
+      this.eventBus.emit('router:prefetched', { url: targetUrl, html: result.data });
+      return result;
+    });
+    entry.promise.catch(error => {
+      if (this.prefetchCache.get(key) === entry) {
+        this.prefetchCache.delete(key);
+      }
+      if (error.name !== 'AbortError') {
+        this.logger?.debug('Prefetch failed', { url: key, error });
+      }
+    });
+
+    this.prefetchCache.delete(key);
+    this.prefetchCache.set(key, entry);
+
+    // Drop the oldest responses beyond the cache size
+    for (const [oldKey, oldEntry] of this.prefetchCache) {
+      if (this.prefetchCache.size <= this.options.prefetchCacheSize) break;
+      oldEntry.controller.abort();
+      this.prefetchCache.delete(oldKey);
+    }
+
+    this.logger?.debug('Prefetching', { url: key });
+
+    return entry.promise.then(
+      () => true,
+      () => false
+    );
+  }
+
+  /**
+   * Forget prefetched responses, e.g. after changing data on the server
+   */
+  clearPrefetchCache() {
+    this.prefetchCache.forEach(entry => entry.controller.abort());
+    this.prefetchCache.clear();
+  }
+
+  /**
+   * GET a page for the prefetch cache; rejects unless it is a successful HTML response
+   * @private
+   */
+  async _fetchForPrefetch(url, controller) {
+    const timeoutId = setTimeout(() => controller.abort(), this.options.timeout);
+
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        signal: controller.signal,
+        credentials: 'same-origin',
+        headers: {
+          'X-Requested-With': 'XMLHttpRequest',
+          Accept: 'text/html,application/json,*/*',
+          Purpose: 'prefetch',
+        },
+      });
+
+      if (!response.ok) {
+        throw this._createHttpError(response);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (!contentType.includes('text/html')) {
+        throw new Error(`Not prefetching ${contentType || 'untyped'} response`);
+      }
+
+      return { response, data: await response.text() };
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  /**
+   * Cache entry for a URL if it is pending or younger than prefetchTTL
+   * @private
+   */
+  _getPrefetched(key) {
+    const entry = this.prefetchCache.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.timestamp > this.options.prefetchTTL) {
+      entry.controller.abort();
+      this.prefetchCache.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Remove and return a usable prefetched response for a URL, waiting for one in flight
+   * @private
+   * @returns {Promise<{response: Response, data: string}|null>}
+   */
+  async _takePrefetched(url) {
+    const key = this._prefetchKey(url);
+    const entry = this._getPrefetched(key);
+    if (!entry) return null;
+
+    this.prefetchCache.delete(key);
+    try {
+      return await entry.promise;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * URL without its hash, as a prefetch cache key
+   * @private
+   */
+  _prefetchKey(url) {
+    const parsed = new URL(url, location.href);
+    parsed.hash = '';
+    return parsed.toString();
+  }
+
   /**
    * Determine whether a URL points at a static asset that must not be
    * loaded as an HTML fragment (matched by file extension on the pathname).
@@ -228,7 +546,7 @@ export class RouterManager {
 
       // Update URL hash without triggering navigation
       if (targetId) {
-        history.replaceState(null, '', href);
+        history.replaceState(history.state, '', href);
       }
 
       this.eventBus.emit('router:anchor-scroll', {
@@ -289,12 +607,171 @@ export class RouterManager {
     }
   }
 
+  /**
+   * Determine if a form should be submitted through the router
+   * @private
+   */
+  _shouldEnhanceForm(form, submitter) {
+    const marker = form.getAttribute('data-router-form');
+
+    if (marker === 'false' || form.hasAttribute('data-router-skip')) {
+      return false;
+    }
+    if (this.options.forms === 'none' || (marker === null && this.options.forms !== 'all')) {
+      return false;
+    }
+
+    try {
+      const { url, method, target } = this._formSubmission(form, submitter);
+      if (method === 'DIALOG' || (target && target !== '_self')) {
+        return false;
+      }
+      return url.origin === location.origin;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Action, method, enctype and target of a submission; the submitter's
+   * formaction/formmethod/formenctype/formtarget win over the form's attributes
+   * @private
+   */
+  _formSubmission(form, submitter) {
+    const attribute = name =>
+      submitter?.getAttribute(`form${name}`) ?? form.getAttribute(name) ?? '';
+
+    return {
+      // Read the attributes rather than form.method, which turns PUT/DELETE into GET
+      url: new URL(attribute('action') || location.href, location.href),
+      method: (attribute('method') || 'GET').toUpperCase(),
+      enctype: attribute('enctype').toLowerCase() || 'application/x-www-form-urlencoded',
+      target: attribute('target'),
+    };
+  }
+
+  /**
+   * Handle form submissions for SPA navigation
+   */
+  _onFormSubmit(event) {
+    const form = event.target;
+    const submitter = event.submitter || null;
+
+    if (event.defaultPrevented || !(form instanceof HTMLFormElement)) {
+      return;
+    }
+    if (!this._shouldEnhanceForm(form, submitter)) {
+      return;
+    }
+
+    event.preventDefault();
+    // Failures are reported through router:navigate-error
+    this.submit(form, submitter).catch(() => {});
+  }
+
+  /**
+   * Submit a form through the router
+   * GET forms navigate to the action with the fields as query string. Other methods
+   * send the fields (plus the submitter's name/value) as the request body; the
+   * response is swapped into the form's data-view-target (default 'main'). History
+   * only changes when the server redirects, and a 422 response is rendered into the
+   * fragment containing the form.
+   * @param {HTMLFormElement} form - Form to submit
+   * @param {HTMLElement} [submitter] - Button that submitted the form
+   * @returns {Promise<string|undefined>} Response HTML, or undefined if cancelled
+   */
+  async submit(form, submitter = null) {
+    const { url, method, enctype } = this._formSubmission(form, submitter);
+
+    const formData = new FormData(form);
+    if (submitter?.name) {
+      formData.append(submitter.name, submitter.value ?? '');
+    }
+
+    const viewTarget =
+      submitter?.getAttribute('data-view-target') ||
+      form.getAttribute('data-view-target') ||
+      'main';
+    const options = {
+      viewTarget,
+      replace: form.hasAttribute('data-router-replace'),
+      trigger: 'form-submit',
+      element: form,
+      // Submitting the same form again must fetch again
+      force: true,
+    };
+
+    if (method === 'GET') {
+      url.search = new URLSearchParams(formData).toString();
+      return this.navigate(url, options);
+    }
+
+    return this.navigate(url, {
+      ...options,
+      method,
+      body: enctype === 'multipart/form-data' ? formData : new URLSearchParams(formData),
+      errorTarget: form.closest('[data-view]')?.getAttribute('data-view') || viewTarget,
+    });
+  }
+
   /**
    * Handle browser back/forward navigation
+   * The browser has already changed the URL; a vetoed navigation is undone by
+   * moving back through history to the entry we came from.
    */
-  _onPopState(event) {
+  async _onPopState(event) {
+    if (this._restoringPopstate) {
+      this._restoringPopstate = false;
+      this._releasePopstateHold();
+      return;
+    }
+
     const url = new URL(location.href);
+
+    // The entry the user left; a navigation in flight has already moved currentUrl on
+    const from = this._navigation?.previousUrl ?? this.currentUrl;
+    const fromIndex = this.historyIndex;
+    const toIndex = event.state?.index;
+
+    // The browser has moved on, so a navigation in flight must not push on top until
+    // the guards have decided; a vetoed back press lets it carry on afterwards
+    if (this._navigation) {
+      this._holdForPopstate();
+    }
+
+    const token = (this._guardToken = {});
+    const decision = await this._runGuards(url, { trigger: 'popstate' });
+
+    // A navigation started while the guards ran takes over from here
+    if (this._guardToken !== token) {
+      this._releasePopstateHold();
+      this._emitCancelled(url, 'popstate', 'superseded');
+      return;
+    }
+
+    if (decision.action === 'cancel') {
+      // Released once history is back on the entry we left
+      if (!this._restoreHistoryEntry(from, fromIndex, toIndex)) {
+        this._releasePopstateHold();
+      }
+      this._emitCancelled(url, 'popstate', decision.reason);
+      return;
+    }
+
+    if (this._navigation) {
+      this._abortNavigation(url, { replaced: false });
+    }
+    this._releasePopstateHold();
+
     this.currentUrl = url;
+    this.historyIndex = toIndex ?? this.historyIndex;
+    this.historyKey = event.state?.key ?? null;
+
+    if (decision.action === 'redirect') {
+      this.navigate(decision.url, { replace: true, trigger: 'redirect' });
+      return;
+    }
+
     this.eventBus.emit('router:popstate', {
       url,
       state: event.state,
@@ -302,12 +779,185 @@ export class RouterManager {
     });
   }
 
+  /**
+   * Make the navigation in flight wait before it updates history
+   * @private
+   */
+  _holdForPopstate() {
+    this._releasePopstateHold();
+
+    let release;
+    const promise = new Promise(resolve => (release = resolve));
+    this._popstateHold = { promise, release };
+  }
+
+  /**
+   * Let a navigation held by _holdForPopstate() continue
+   * @private
+   */
+  _releasePopstateHold() {
+    this._popstateHold?.release();
+    this._popstateHold = null;
+  }
+
+  /**
+   * Put the address bar back on the entry a vetoed popstate left
+   * Entries the router tagged are returned to with history.go(). An untagged
+   * entry reached by a same-page fragment change was pushed on top of the one
+   * we left, so one step back restores it. Any other untagged entry (e.g. one
+   * added by a third-party pushState) gives no direction; the previous URL is
+   * then pushed again, which drops the forward history.
+   * @private
+   * @returns {boolean} Whether a history traversal (and its popstate) is pending
+   */
+  _restoreHistoryEntry(from, fromIndex, toIndex) {
+    let delta = null;
+    if (typeof toIndex === 'number' && toIndex !== fromIndex) {
+      delta = fromIndex - toIndex;
+    } else if (toIndex === undefined && this._isFragmentChange(from, new URL(location.href))) {
+      delta = -1;
+    }
+
+    if (delta !== null) {
+      this._restoringPopstate = true;
+      history.go(delta);
+      return true;
+    }
+
+    this.logger?.warn('Cannot tell which way history moved; re-adding the previous entry', {
+      from: from.toString(),
+    });
+    // The page still shows that entry, so it keeps its key
+    history.pushState({ index: ++this.historyIndex, key: this.historyKey }, '', from.toString());
+    return false;
+  }
+
+  /**
+   * Whether two URLs differ only in their hash
+   * @private
+   */
+  _isFragmentChange(from, to) {
+    return from.hash !== to.hash && this._prefetchKey(from) === this._prefetchKey(to);
+  }
+
+  /**
+   * Register a navigation guard
+   * Guards run in registration order before every navigation (link clicks,
+   * navigate() and back/forward) and receive `(to, from, { trigger, element, replace })`.
+   * Return (or resolve) `false` to cancel, a URL to redirect, anything else to continue.
+   * @param {Function} guard - Guard function, may be async
+   * @returns {Function} Removes the guard
+   *
+   * @example
+   * router.beforeEach((to, from) => {
+   *   if (form.isDirty) return confirmDialog('Discard your changes?');
+   * });
+   * router.beforeEach(to => (to.pathname.startsWith('/account') && !session ? '/login' : true));
+   */
+  beforeEach(guard) {
+    this.guards.push(guard);
+    return () => {
+      this.guards = this.guards.filter(candidate => candidate !== guard);
+    };
+  }
+
+  /**
+   * Run beforeEach guards, then the cancellable router:before-navigate event
+   * Listeners receive the payload with `cancel()`, `redirect(url)` and
+   * `waitUntil(promise)`; a promise passed to waitUntil() may resolve to false or a URL.
+   * Listener return values are ignored, so wildcard listeners (`router:*`, onAny)
+   * can't veto a navigation by accident.
+   * @private
+   * @returns {Promise<{action: string, url?: URL, reason?: string}>}
+   *   action is 'continue', 'cancel' or 'redirect'
+   */
+  async _runGuards(url, { trigger = 'programmatic', element = null, replace = false } = {}) {
+    const from = this.currentUrl;
+
+    try {
+      for (const guard of [...this.guards]) {
+        const result = await guard(url, from, { trigger, element, replace });
+        const decision = this._toGuardDecision(result);
+        if (decision) return decision;
+      }
+
+      let decision = null;
+      const pending = [];
+      const payload = {
+        url,
+        from,
+        trigger,
+        element,
+        replace,
+        cancel: () => {
+          if (!decision) decision = { action: 'cancel', reason: 'guard' };
+        },
+        redirect: to => {
+          if (!decision) decision = this._toGuardDecision(to);
+        },
+        waitUntil: promise => {
+          pending.push(promise);
+        },
+      };
+
+      await this.eventBus.emitAsync('router:before-navigate', payload);
+      const results = await Promise.all(pending);
+
+      for (const result of results) {
+        if (!decision) decision = this._toGuardDecision(result);
+      }
+
+      return decision || { action: 'continue' };
+    } catch (error) {
+      this.logger?.error('Navigation guard failed, cancelling navigation', {
+        url: url.toString(),
+        error,
+      });
+      return { action: 'cancel', reason: 'error', error };
+    }
+  }
+
+  /**
+   * Interpret a guard result
+   * @private
+   */
+  _toGuardDecision(result) {
+    if (result === false) {
+      return { action: 'cancel', reason: 'guard' };
+    }
+    if (typeof result === 'string' || result instanceof URL) {
+      return { action: 'redirect', url: new URL(result.toString(), location.href) };
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _emitCancelled(url, trigger, reason) {
+    this.logger?.info('Navigation cancelled', { url: url.toString(), trigger, reason });
+    this.eventBus.emit('router:navigate-cancelled', { url, trigger, reason });
+  }
+
   /**
    * Perform HTTP GET request with enhanced error handling and logging
    */
   async get(url, init = {}) {
+    return this.request(url, { method: 'GET', ...init });
+  }
+
+  /**
+   * Perform an HTTP request with the router's headers, timeout and abort handling
+   * Error responses reject with an HttpError carrying `status`, `response` and the
+   * response body as `data`.
+   * @param {string|URL} url - Request URL
+   * @param {RequestInit} [init={}] - fetch() options, e.g. `{ method: 'POST', body }`
+   * @returns {Promise<{response: Response, data: string|Object}>}
+   */
+  async request(url, init = {}) {
     const requestUrl = typeof url === 'string' ? url : url.toString();
-    this.logger?.group(`RouterManager GET ${requestUrl}`);
+    const method = (init.method || 'GET').toUpperCase();
+    this.logger?.group(`RouterManager ${method} ${requestUrl}`);
 
     // Abort any in-flight request
     this._abortInFlight();
@@ -321,26 +971,33 @@ export class RouterManager {
       controller.abort();
     }, this.options.timeout);
 
+    const endFetch = this._startSpan('router:fetch', { url: requestUrl, method });
+
     try {
       const response = await fetch(requestUrl, {
-        method: 'GET',
-        signal: controller.signal,
         credentials: 'same-origin',
+        ...init,
+        method,
+        signal: controller.signal,
         headers: {
           'X-Requested-With': 'XMLHttpRequest',
           Accept: 'text/html,application/json,*/*',
           ...init.headers,
         },
-        ...init,
       });
 
       clearTimeout(timeoutId);
+      endFetch?.({ status: response.status });
 
       if (!response.ok) {
-        throw this._createHttpError(response);
+        const error = this._createHttpError(response);
+        // Keep the body so error pages (e.g. 422 form errors) can be rendered
+        error.data = await response.text().catch(() => null);
+        throw error;
       }
 
       const contentType = response.headers.get('content-type') || '';
+      const endParse = this._startSpan('router:parse', { url: requestUrl, contentType });
       let data;
 
       if (contentType.includes('application/json')) {
@@ -348,8 +1005,9 @@ export class RouterManager {
       } else {
         data = await response.text();
       }
+      endParse?.();
 
-      this.logger?.info('GET successful', {
+      this.logger?.info(`${method} successful`, {
         url: requestUrl,
         status: response.status,
         contentType,
@@ -360,20 +1018,33 @@ export class RouterManager {
       clearTimeout(timeoutId);
 
       if (error.name === 'AbortError') {
-        this.logger?.warn('GET aborted', { url: requestUrl });
+        this.logger?.warn(`${method} aborted`, { url: requestUrl });
         throw error;
       }
 
-      this.logger?.error('GET failed', { url: requestUrl, error });
+      this.logger?.error(`${method} failed`, { url: requestUrl, error });
       throw error;
     } finally {
       this.logger?.groupEnd();
-      this.controller = null;
+      // A newer request may already have replaced the controller
+      if (this.controller === controller) {
+        this.controller = null;
+      }
     }
   }
 
   /**
    * Navigate to a new URL with enhanced options
+   * Guards (beforeEach and router:before-navigate) run first unless `skipGuards` is set.
+   * Requests other than GET (`method` and `body` options, see submit()) only change
+   * history when the server redirects; a 422 response is rendered into `errorTarget`.
+   *
+   * The latest navigation wins: starting one aborts the navigation in flight, which
+   * emits `router:navigate-abort` and resolves undefined. Queued navigations (`queue`
+   * option, or programmatic ones with `navigationMode: 'queue'`) instead wait for the
+   * navigation in flight and for earlier queued ones, and run in order.
+   * @returns {Promise<string|undefined>} Fetched HTML, or undefined if skipped, cancelled
+   *   or aborted
    */
   async navigate(url, options = {}) {
     const {
@@ -381,28 +1052,82 @@ export class RouterManager {
       trigger = 'programmatic',
       element = null,
       force = false,
-      immutableUrl = false,
+      skipGuards = false,
+      redirectCount = 0,
+      body = null,
+      queue = trigger === 'programmatic' && this.options.navigationMode === 'queue',
     } = options;
+    const method = (options.method || 'GET').toUpperCase();
+    const isGet = method === 'GET';
+
+    if (queue) {
+      return this._enqueueNavigation(url, options);
+    }
 
     const targetUrl = typeof url === 'string' ? new URL(url, location.href) : url;
     const targetUrlString = targetUrl.toString();
 
     // Prevent navigation to same URL unless forced
-    if (!force && targetUrlString === this.currentUrl.toString()) {
+    if (!force && isGet && targetUrlString === this.currentUrl.toString()) {
       this.logger?.debug('Navigation skipped - same URL', { url: targetUrlString });
       return;
     }
 
-    // Prevent concurrent navigation
-    if (this.isNavigating) {
-      this.logger?.warn('Navigation in progress, aborting new navigation', {
-        url: targetUrlString,
-      });
-      return;
+    // Every navigation (guarded or not, and back/forward) supersedes guards still pending
+    const token = (this._guardToken = {});
+
+    if (!skipGuards) {
+      const decision = await this._runGuards(targetUrl, { trigger, element, replace });
+
+      if (this._guardToken !== token) {
+        this._emitCancelled(targetUrl, trigger, 'superseded');
+        return;
+      }
+
+      if (decision.action === 'cancel') {
+        this._emitCancelled(targetUrl, trigger, decision.reason);
+        return;
+      }
+
+      if (decision.action === 'redirect') {
+        if (redirectCount >= this.options.maxRedirects) {
+          this.logger?.error('Too many navigation guard redirects', { url: targetUrlString });
+          this._emitCancelled(targetUrl, trigger, 'redirect-loop');
+          return;
+        }
+
+        // The redirect target is fetched, not sent the request body
+        return this.navigate(decision.url, {
+          ...options,
+          method: 'GET',
+          body: null,
+          trigger: 'redirect',
+          redirectCount: redirectCount + 1,
+        });
+      }
+    }
+
+    // Latest wins: the navigation still in flight is aborted
+    if (this._navigation) {
+      this._abortNavigation(targetUrl);
     }
 
+    let finish;
+    const navigation = {
+      url: targetUrl,
+      previousUrl: this.currentUrl,
+      trigger,
+      element,
+      aborted: false,
+      done: new Promise(resolve => (finish = resolve)),
+    };
+    this._navigation = navigation;
+
     this.isNavigating = true;
-    this.currentUrl = targetUrl;
+    if (isGet) {
+      this.currentUrl = targetUrl;
+    }
+    const endNavigation = this._startSpan('router:navigation', { url: targetUrlString, trigger });
 
     // Emit navigation start event
     this.eventBus.emit('router:navigate-start', {
@@ -410,6 +1135,7 @@ export class RouterManager {
       trigger,
       element,
       replace,
+      method,
     });
 
     // Add loading state
@@ -418,62 +1144,151 @@ export class RouterManager {
     }
     document.body.classList.add(this.options.loadingClass);
 
-    try {
-      const { response, data } = await this.get(targetUrlString);
+    // Set when the response carries X-Parallelogram-Location
+    let serverLocation = null;
 
-      // Safety net: a link slipped through and the server returned a
-      // non-HTML document (e.g. application/pdf). Don't inject it as a
-      // fragment — hand off to the browser for a native full load.
-      const contentType = response.headers.get('content-type') || '';
-      if (typeof data === 'string' && !contentType.includes('text/html')) {
-        this.logger?.warn('Non-HTML response; falling back to full navigation', {
-          url: targetUrlString,
-          contentType,
-        });
-        window.location.assign(targetUrlString);
-        return;
+    try {
+      let prefetched = null;
+      if (isGet) {
+        prefetched = await this._takePrefetched(targetUrl);
+      } else {
+        // Whatever was prefetched may be stale after a POST/PUT/DELETE
+        this.clearPrefetchCache();
       }
-
-      if (typeof data !== 'string') {
-        throw new Error('Expected HTML string response for navigation');
+      if (prefetched) {
+        this.logger?.debug('Using prefetched response', { url: targetUrlString });
+      }
+      const { response, data } =
+        prefetched ?? (await this._fetchNavigation(targetUrlString, method, body));
+      if (navigation.aborted) return;
+
+      // Back/forward was pressed meanwhile; wait for its guards before touching history
+      if (this._popstateHold) {
+        await this._popstateHold.promise;
+        if (navigation.aborted) return;
       }
 
-      // Update browser history only if URL is not immutable
-      if (!immutableUrl) {
-        const historyState = { timestamp: Date.now(), trigger };
-        if (replace) {
-          history.replaceState(historyState, '', targetUrlString);
+      const invalid = response.status === 422;
+      const directives = this._readResponseHeaders(response);
+
+      if (directives.refresh) {
+        this.logger?.info('Server requested a full reload', { url: targetUrlString });
+        if (isGet) {
+          window.location.assign(targetUrlString);
         } else {
-          history.pushState(historyState, '', targetUrlString);
+          window.location.reload();
         }
+        return;
       }
 
-      // Emit success event with HTML data
-      this.eventBus.emit('router:navigate-success', {
-        url: targetUrl,
-        html: data,
-        trigger,
-        element,
-        replace,
-        viewTarget: options.viewTarget,
-        immutableUrl,
-      });
+      if (directives.location) {
+        // Followed once this navigation has cleaned up, below
+        serverLocation = directives.location;
+        this._emitServerEvents(directives.events);
+      } else {
+        // Safety net: a link slipped through and the server returned a
+        // non-HTML document (e.g. application/pdf). Don't inject it as a
+        // fragment — hand off to the browser for a native full load.
+        const contentType = response.headers.get('content-type') || '';
+        if (typeof data === 'string' && !contentType.includes('text/html')) {
+          // Reloading would turn a submission into a GET, so that only happens for GETs
+          if (!isGet) {
+            throw new Error(`Expected HTML response for ${method} ${targetUrlString}`);
+          }
+          this.logger?.warn('Non-HTML response; falling back to full navigation', {
+            url: targetUrlString,
+            contentType,
+          });
+          window.location.assign(targetUrlString);
+          return;
+        }
 
-      this.logger?.info('Navigation successful', {
-        url: targetUrlString,
-        trigger,
-        replace,
-        immutableUrl,
-      });
+        if (typeof data !== 'string') {
+          throw new Error('Expected HTML string response for navigation');
+        }
+
+        // Followed redirects put the final URL in the address bar. Other responses to
+        // non-GET requests (and 422s) are rendered without touching history, unless the
+        // server asks for it with X-Parallelogram-Push-Url / Replace-Url.
+        const redirected = response.redirected && Boolean(response.url);
+        const finalUrl = redirected ? new URL(response.url) : targetUrl;
+        const entry = this._resolveHistoryUpdate(directives, {
+          url: finalUrl,
+          mode:
+            invalid || (!isGet && !redirected) || options.immutableUrl
+              ? null
+              : replace
+                ? 'replace'
+                : 'push',
+        });
+        const immutableUrl = entry.mode === null;
+
+        if (!immutableUrl) {
+          this.currentUrl = entry.url;
+        } else if (isGet || redirected) {
+          this.currentUrl = finalUrl;
+        }
 
-      return data;
+        // Update browser history only if URL is not immutable
+        if (!immutableUrl) {
+          this.historyKey = this._createHistoryKey();
+          const historyState = { timestamp: Date.now(), trigger, key: this.historyKey };
+          const historyUrl = entry.url.toString();
+          if (entry.mode === 'replace') {
+            history.replaceState({ ...historyState, index: this.historyIndex }, '', historyUrl);
+          } else {
+            this.historyIndex++;
+            history.pushState({ ...historyState, index: this.historyIndex }, '', historyUrl);
+          }
+        }
+
+        // Emit success event with HTML data
+        this.eventBus.emit('router:navigate-success', {
+          url: entry.url,
+          html: data,
+          trigger,
+          element,
+          replace: entry.mode === 'replace',
+          viewTarget: invalid ? (options.errorTarget ?? options.viewTarget) : options.viewTarget,
+          viewTargets: directives.targets,
+          immutableUrl,
+          prefetched: Boolean(prefetched),
+          method,
+          status: response.status,
+          redirected,
+        });
+
+        this._emitServerEvents(directives.events);
+
+        this.logger?.info('Navigation successful', {
+          url: entry.url.toString(),
+          trigger,
+          replace,
+          immutableUrl,
+        });
+
+        return data;
+      }
     } catch (error) {
+      if (navigation.aborted) {
+        this.logger?.debug('Aborted navigation settled', { url: targetUrlString });
+        return;
+      }
+
+      // The address bar still shows the page we were on
+      this.currentUrl = navigation.previousUrl;
+
       // Add error state
       if (element) {
         element.classList.add(this.options.errorClass);
       }
       document.body.classList.add(this.options.errorClass);
 
+      // Error responses can still ask for events (e.g. a flash message)
+      if (error.response) {
+        this._emitServerEvents(this._readResponseHeaders(error.response).events);
+      }
+
       this.eventBus.emit('router:navigate-error', {
         url: targetUrl,
         error,
@@ -489,21 +1304,223 @@ export class RouterManager {
 
       throw error;
     } finally {
-      // Clean up loading states
-      if (element) {
+      // Clean up loading states; an aborted navigation leaves the newer one's alone
+      if (element && (!navigation.aborted || element !== this._navigation?.element)) {
         element.classList.remove(this.options.loadingClass, this.options.errorClass);
       }
-      document.body.classList.remove(this.options.loadingClass, this.options.errorClass);
 
-      this.isNavigating = false;
+      endNavigation?.(navigation.aborted ? { aborted: true } : {});
+      finish();
+
+      // Aborted navigations reported router:navigate-abort instead
+      if (!navigation.aborted) {
+        document.body.classList.remove(this.options.loadingClass, this.options.errorClass);
+        this.isNavigating = false;
+        this._navigation = null;
+
+        this.eventBus.emit('router:navigate-end', {
+          url: targetUrl,
+          trigger,
+        });
+      }
+    }
+
+    // Only reached when the server sent X-Parallelogram-Location
+    return this._followServerLocation(serverLocation, options);
+  }
+
+  /**
+   * Abort the navigation in flight in favour of a newer one
+   * Cancels its request, puts currentUrl back to where it was and emits
+   * `router:navigate-abort`. When no navigation replaces it (back/forward), the
+   * loading state is cleared and `router:navigate-end` follows with `aborted: true`.
+   * @private
+   * @param {URL} supersededBy - URL of the newer navigation
+   * @param {Object} [options={}]
+   * @param {boolean} [options.replaced=true] - A new navigation takes over the loading state
+   */
+  _abortNavigation(supersededBy, { replaced = true } = {}) {
+    const navigation = this._navigation;
+    navigation.aborted = true;
+    this._navigation = null;
+    this.isNavigating = false;
+
+    this._abortInFlight();
+    this.currentUrl = navigation.previousUrl;
 
+    this.logger?.info('Navigation aborted by a newer one', {
+      url: navigation.url.toString(),
+      supersededBy: supersededBy.toString(),
+    });
+
+    this.eventBus.emit('router:navigate-abort', {
+      url: navigation.url,
+      trigger: navigation.trigger,
+      element: navigation.element,
+      supersededBy,
+    });
+
+    if (!replaced) {
+      document.body.classList.remove(this.options.loadingClass, this.options.errorClass);
       this.eventBus.emit('router:navigate-end', {
-        url: targetUrl,
-        trigger,
+        url: navigation.url,
+        trigger: navigation.trigger,
+        aborted: true,
       });
     }
   }
 
+  /**
+   * Run a navigation after the one in flight and every navigation queued before it
+   * @private
+   */
+  _enqueueNavigation(url, options) {
+    const run = async () => {
+      while (this._navigation) {
+        await this._navigation.done;
+      }
+      return this.navigate(url, { ...options, queue: false });
+    };
+
+    const result = this._navigationQueue.then(run);
+    // A failed navigation must not stop the ones queued after it
+    this._navigationQueue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read the X-Parallelogram-* headers a server uses to steer a navigation
+   * URLs are resolved against the response URL.
+   * @private
+   * @returns {{location: URL|null, refresh: boolean, targets: string[]|undefined,
+   *   pushUrl: string|null, replaceUrl: string|null, events: Object|null}}
+   */
+  _readResponseHeaders(response) {
+    const header = name => response.headers?.get(`X-Parallelogram-${name}`) ?? null;
+    const baseUrl = response.url || location.href;
+
+    const redirect = header('Location');
+    const refresh = header('Refresh');
+    const targets = header('Targets')
+      ?.split(/[\s,]+/)
+      .filter(Boolean);
+
+    return {
+      location: redirect ? new URL(redirect, baseUrl) : null,
+      refresh: refresh !== null && refresh !== 'false',
+      targets: targets?.length ? targets : undefined,
+      pushUrl: header('Push-Url'),
+      replaceUrl: header('Replace-Url'),
+      events: this._parseServerEvents(header('Trigger')),
+    };
+  }
+
+  /**
+   * Parse X-Parallelogram-Trigger: a JSON object mapping event names to payloads
+   * @private
+   */
+  _parseServerEvents(value) {
+    if (!value) return null;
+
+    try {
+      const events = JSON.parse(value);
+      if (events && typeof events === 'object' && !Array.isArray(events)) {
+        return events;
+      }
+    } catch {
+      // Reported below
+    }
+
+    this.logger?.warn('Ignoring X-Parallelogram-Trigger; expected a JSON object', { value });
+    return null;
+  }
+
+  /**
+   * Emit the events a response asked for
+   * @private
+   */
+  _emitServerEvents(events) {
+    if (!events) return;
+
+    for (const [event, payload] of Object.entries(events)) {
+      this.eventBus.emit(event, payload);
+    }
+  }
+
+  /**
+   * Apply X-Parallelogram-Push-Url / Replace-Url to a navigation's default history update
+   * Either header may be a URL, `true` (the response URL) or `false` (leave history alone);
+   * Push-Url wins when both name a URL.
+   * @private
+   * @param {Object} directives - From _readResponseHeaders()
+   * @param {{mode: 'push'|'replace'|null, url: URL}} fallback - Update without the headers
+   * @returns {{mode: 'push'|'replace'|null, url: URL}}
+   */
+  _resolveHistoryUpdate({ pushUrl, replaceUrl }, fallback) {
+    const toUpdate = (mode, value) => {
+      const url = value === 'true' ? fallback.url : new URL(value, fallback.url);
+      if (url.origin !== location.origin) {
+        this.logger?.warn('Ignoring cross-origin history URL from server', { url: url.toString() });
+        return fallback;
+      }
+      return { mode, url };
+    };
+
+    if (pushUrl && pushUrl !== 'false') return toUpdate('push', pushUrl);
+    if (replaceUrl && replaceUrl !== 'false') return toUpdate('replace', replaceUrl);
+    if (pushUrl === 'false' || replaceUrl === 'false') return { mode: null, url: fallback.url };
+    return fallback;
+  }
+
+  /**
+   * Follow X-Parallelogram-Location: same-origin URLs are navigated to client-side
+   * (as a GET, through the guards), other origins load in full
+   * @private
+   */
+  _followServerLocation(url, options) {
+    const { trigger = 'programmatic', redirectCount = 0 } = options;
+
+    if (url.origin !== location.origin) {
+      window.location.assign(url.toString());
+      return;
+    }
+
+    if (redirectCount >= this.options.maxRedirects) {
+      this.logger?.error('Too many server redirects', { url: url.toString() });
+      this._emitCancelled(url, trigger, 'redirect-loop');
+      return;
+    }
+
+    return this.navigate(url, {
+      ...options,
+      method: 'GET',
+      body: null,
+      force: true,
+      trigger: 'redirect',
+      redirectCount: redirectCount + 1,
+    });
+  }
+
+  /**
+   * Fetch a navigation's response; for requests other than GET, a 422 (validation
+   * failed) response resolves like a success so its HTML can be rendered
+   * @private
+   */
+  async _fetchNavigation(url, method, body) {
+    if (method === 'GET') {
+      return this.get(url);
+    }
+
+    try {
+      return await this.request(url, { method, body });
+    } catch (error) {
+      if (error.status === 422 && typeof error.data === 'string') {
+        return { response: error.response, data: error.data };
+      }
+      throw error;
+    }
+  }
+
   /**
    * Programmatically go back in history
    */
@@ -544,6 +1561,23 @@ export class RouterManager {
     }
   }
 
+  /**
+   * Random id for a new history entry
+   * @private
+   */
+  _createHistoryKey() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  }
+
+  /**
+   * Start a User Timing span when trackPerformance is on
+   * @private
+   * @returns {Function|null} end(extraDetail), or null when not tracking
+   */
+  _startSpan(name, detail) {
+    return this.options.trackPerformance ? startSpan(name, detail, this.eventBus) : null;
+  }
+
   /**
    * Create HTTP error with enhanced information
    */
@@ -565,13 +1599,27 @@ export class RouterManager {
 
     // Remove event listeners
     window.removeEventListener('popstate', this.boundPopState);
+    document.removeEventListener('submit', this.boundFormSubmit);
 
     // Remove enhanced link listeners
     document.querySelectorAll('a[data-router-enhanced="true"]').forEach(link => {
       link.removeEventListener('click', this.boundLinkClick);
+      link.removeEventListener('pointerenter', this.boundPrefetchIntent);
+      link.removeEventListener('focus', this.boundPrefetchIntent);
+      link.removeEventListener('touchstart', this.boundPrefetchIntent);
+      link.removeEventListener('pointerleave', this.boundPrefetchCancel);
+      link.removeEventListener('blur', this.boundPrefetchCancel);
       link.removeAttribute('data-router-enhanced');
     });
 
+    // Stop prefetching
+    this._prefetchTimers.forEach(timer => clearTimeout(timer));
+    this._prefetchTimers.clear();
+    this._eagerPrefetchQueue = [];
+    this._prefetchObserver?.disconnect();
+    this._prefetchObserver = null;
+    this.clearPrefetchCache();
+
     // Remove anchor link listeners
     document.querySelectorAll('a[data-router-enhanced="anchor"]').forEach(link => {
       link.removeEventListener('click', this._onAnchorClick);
@@ -586,6 +1634,7 @@ export class RouterManager {
 
     // Abort any pending requests
     this._abortInFlight();
+    this._releasePopstateHold();
 
     // Remove event bus listeners
     this.eventBus.off('dom:content-loaded');
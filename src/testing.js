@@ -0,0 +1,529 @@
+/**
+ * Testing harness for component authors
+ *
+ * Helpers for unit-testing BaseComponent subclasses under a DOM environment
+ * (jsdom, happy-dom). Nothing here touches the real network, timers or
+ * observers unless you ask it to.
+ *
+ * @example
+ * import {
+ *   mountFixture,
+ *   cleanupFixtures,
+ *   installIntersectionObserver,
+ *   flushTransitions,
+ * } from '@parallelogram-js/core/testing';
+ * import Tabs from '@parallelogram-js/core/components/Tabs';
+ *
+ * afterEach(() => cleanupFixtures());
+ *
+ * it('switches panels', async () => {
+ *   const { element, instance, eventBus } = mountFixture(tabsHtml, Tabs);
+ *   instance.activateTab(element, 'panel-2');
+ *   await flushTransitions();
+ *   expect(eventBus.last('tabs:change').activeTab).toBe('panel-2');
+ * });
+ */
+
+import { EventManager } from './managers/EventManager.js';
+import { finishPendingTransitions } from './utils/dom-utils.js';
+
+/**
+ * EventManager that records every emitted event
+ */
+export class RecordingEventManager extends EventManager {
+  /**
+   * @param {Object} [options={}] - EventManager options (e.g. replay)
+   */
+  constructor(options = {}) {
+    super(options);
+    this.emitted = [];
+  }
+
+  emit(event, payload) {
+    this.emitted.push({ event, payload });
+    super.emit(event, payload);
+  }
+
+  emitAsync(event, payload) {
+    this.emitted.push({ event, payload });
+    return super.emitAsync(event, payload);
+  }
+
+  /**
+   * Payloads of every emission of an event, oldest first
+   * @param {string} event - Event name
+   * @returns {Array}
+   */
+  payloads(event) {
+    return this.emitted.filter(record => record.event === event).map(record => record.payload);
+  }
+
+  /**
+   * Payload of the most recent emission of an event
+   * @param {string} event - Event name
+   * @returns {*} Payload, or undefined if the event was never emitted
+   */
+  last(event) {
+    const payloads = this.payloads(event);
+    return payloads[payloads.length - 1];
+  }
+
+  /**
+   * Whether an event has been emitted
+   * @param {string} event - Event name
+   * @returns {boolean}
+   */
+  hasEmitted(event) {
+    return this.emitted.some(record => record.event === event);
+  }
+
+  /**
+   * Forget recorded emissions (listeners are kept)
+   */
+  reset() {
+    this.emitted = [];
+  }
+}
+
+/**
+ * Logger stub that records calls instead of printing them
+ * Mirrors DevLogger's public API. Loggers from child() and forNamespace()
+ * record into the same `entries` list, tagged with their namespace.
+ * @param {string} [namespace='test'] - Namespace of the returned logger
+ * @returns {Object} Logger with DevLogger's methods, an `entries` list and `at(level)`
+ */
+export function createTestLogger(namespace = 'test') {
+  return createNamespacedTestLogger(namespace, {
+    entries: [],
+    transports: [],
+    enabled: true,
+    silent: false,
+  });
+}
+
+/**
+ * Test logger for one namespace over shared entries and settings
+ * @private
+ */
+function createNamespacedTestLogger(namespace, shared) {
+  const { entries, transports } = shared;
+  const logger = {
+    namespace,
+    entries,
+    get enabled() {
+      return shared.enabled;
+    },
+    set enabled(enabled) {
+      shared.enabled = Boolean(enabled);
+    },
+    get silent() {
+      return shared.silent;
+    },
+    set silent(silent) {
+      shared.silent = Boolean(silent);
+    },
+    setEnabled: enabled => (logger.enabled = enabled),
+    setSilent: silent => (logger.silent = silent),
+    setFilter: () => {},
+    isEnabled: () => shared.enabled && !shared.silent,
+    addTransport: transport => {
+      transports.push(transport);
+      return () => logger.removeTransport(transport);
+    },
+    removeTransport: transport => {
+      const index = transports.indexOf(transport);
+      if (index !== -1) transports.splice(index, 1);
+    },
+    child: subNamespace => createNamespacedTestLogger(`${namespace}:${subNamespace}`, shared),
+    forNamespace: other => createNamespacedTestLogger(other, shared),
+    flush: () => transports.forEach(transport => transport.flush?.()),
+    /**
+     * Entries logged at a level
+     * @param {string} level - 'debug', 'log', 'info', 'warn' or 'error'
+     */
+    at: level => entries.filter(entry => entry.level === level),
+  };
+
+  for (const level of ['debug', 'log', 'info', 'warn', 'error', 'group', 'groupEnd']) {
+    logger[level] = (...args) => {
+      const entry = { level, namespace, args };
+      entries.push(entry);
+      transports.forEach(transport =>
+        typeof transport === 'function' ? transport(entry) : transport.log?.(entry)
+      );
+    };
+  }
+
+  return logger;
+}
+
+/**
+ * Fake RouterManager with scripted responses
+ *
+ * `get()` resolves with `{ response, data }` like the real router, and
+ * `navigate()` emits the same router:navigate-start/success/error/end events
+ * (without touching history). Unscripted URLs fail with a 404 HttpError.
+ *
+ * @example
+ * const router = new FakeRouter({ eventBus });
+ * router.respond('/options?country=nz', { data: [{ value: 'akl', label: 'Auckland' }] });
+ * router.respond(/\/products\/\d+/, { status: 500 });
+ */
+export class FakeRouter {
+  /**
+   * @param {Object} [options={}]
+   * @param {EventManager} [options.eventBus] - Bus for navigate() events
+   */
+  constructor({ eventBus = null } = {}) {
+    this.eventBus = eventBus;
+    this.routes = [];
+    this.requests = [];
+    this.navigations = [];
+    this.currentUrl = new URL(location.href);
+    this.isNavigating = false;
+  }
+
+  /**
+   * Script a response
+   * @param {string|RegExp|Function} matcher - Exact URL/path, pattern, or predicate(url)
+   * @param {Object|Function} response - `{ status, data, headers }` or a function(url, init) returning one
+   * @returns {FakeRouter} This router for chaining
+   */
+  respond(matcher, response) {
+    this.routes.push({ matcher, response });
+    return this;
+  }
+
+  async get(url, init = {}) {
+    const requestUrl = new URL(url.toString(), location.href);
+    this.requests.push({ url: requestUrl.toString(), init });
+
+    // Later respond() calls win over earlier ones
+    const route = [...this.routes]
+      .reverse()
+      .find(({ matcher }) => this._matches(matcher, requestUrl));
+
+    let scripted = { status: 404 };
+    if (route) {
+      scripted =
+        typeof route.response === 'function'
+          ? await route.response(requestUrl, init)
+          : route.response;
+    }
+
+    const { status = 200, data = '', headers = {} } = scripted;
+    const isJson = typeof data !== 'string';
+    const response = {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: String(status),
+      url: requestUrl.toString(),
+      headers: new Map(
+        Object.entries({
+          'content-type': isJson ? 'application/json' : 'text/html',
+          ...headers,
+        }).map(([name, value]) => [name.toLowerCase(), value])
+      ),
+    };
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${status}`);
+      error.name = 'HttpError';
+      error.status = status;
+      error.response = response;
+      error.url = response.url;
+      throw error;
+    }
+
+    return { response, data };
+  }
+
+  async navigate(url, options = {}) {
+    const { trigger = 'programmatic', element = null, replace = false } = options;
+    const targetUrl = new URL(url.toString(), location.href);
+
+    this.navigations.push({ url: targetUrl.toString(), options });
+    this.isNavigating = true;
+    this.currentUrl = targetUrl;
+    this.eventBus?.emit('router:navigate-start', { url: targetUrl, trigger, element, replace });
+
+    try {
+      const { data } = await this.get(targetUrl);
+      this.eventBus?.emit('router:navigate-success', {
+        url: targetUrl,
+        html: data,
+        trigger,
+        element,
+        replace,
+        viewTarget: options.viewTarget,
+      });
+      return data;
+    } catch (error) {
+      this.eventBus?.emit('router:navigate-error', { url: targetUrl, error, trigger, element });
+      throw error;
+    } finally {
+      this.isNavigating = false;
+      this.eventBus?.emit('router:navigate-end', { url: targetUrl, trigger });
+    }
+  }
+
+  back() {}
+
+  forward() {}
+
+  getCurrentUrl() {
+    return this.currentUrl;
+  }
+
+  destroy() {}
+
+  /**
+   * @private
+   */
+  _matches(matcher, url) {
+    if (typeof matcher === 'function') return matcher(url);
+    if (matcher instanceof RegExp) return matcher.test(url.toString());
+    return matcher === url.toString() || matcher === `${url.pathname}${url.search}`;
+  }
+}
+
+/**
+ * Deterministic stand-in for an observer API, driven from the test
+ * @private
+ */
+class ObserverController {
+  constructor(globalName) {
+    this.globalName = globalName;
+    this.observers = new Set();
+    this._original = globalThis[globalName];
+
+    const controller = this;
+    this.FakeObserver = class {
+      constructor(callback, options = {}) {
+        this.callback = callback;
+        this.options = options;
+        this.targets = new Set();
+        controller.observers.add(this);
+      }
+
+      observe(target) {
+        this.targets.add(target);
+      }
+
+      unobserve(target) {
+        this.targets.delete(target);
+      }
+
+      disconnect() {
+        this.targets.clear();
+        controller.observers.delete(this);
+      }
+
+      takeRecords() {
+        return [];
+      }
+    };
+
+    this._setGlobal(this.FakeObserver);
+  }
+
+  /**
+   * Whether any live observer is watching an element
+   * @param {Element} element
+   * @returns {boolean}
+   */
+  isObserved(element) {
+    return [...this.observers].some(observer => observer.targets.has(element));
+  }
+
+  /**
+   * Deliver an entry for an element to every observer watching it
+   * @param {Element} element - Observed element
+   * @param {Object} entry - Entry fields (target is filled in)
+   * @returns {number} Number of observers notified
+   */
+  trigger(element, entry = {}) {
+    let notified = 0;
+    for (const observer of [...this.observers]) {
+      if (!observer.targets.has(element)) continue;
+      observer.callback([{ target: element, ...entry }], observer);
+      notified++;
+    }
+    return notified;
+  }
+
+  /**
+   * Put the original global back
+   */
+  restore() {
+    this.observers.clear();
+    this._setGlobal(this._original);
+  }
+
+  /**
+   * @private
+   */
+  _setGlobal(value) {
+    globalThis[this.globalName] = value;
+    if (typeof window !== 'undefined' && window !== globalThis) {
+      window[this.globalName] = value;
+    }
+  }
+}
+
+/**
+ * Controller for a fake IntersectionObserver
+ */
+export class IntersectionObserverController extends ObserverController {
+  constructor() {
+    super('IntersectionObserver');
+  }
+
+  /**
+   * Report an element as scrolled into view
+   * @param {Element} element
+   * @param {Object} [entry] - Extra entry fields
+   */
+  enter(element, entry = {}) {
+    return this.trigger(element, { isIntersecting: true, intersectionRatio: 1, ...entry });
+  }
+
+  /**
+   * Report an element as scrolled out of view
+   * @param {Element} element
+   * @param {Object} [entry] - Extra entry fields
+   */
+  leave(element, entry = {}) {
+    return this.trigger(element, { isIntersecting: false, intersectionRatio: 0, ...entry });
+  }
+}
+
+/**
+ * Controller for a fake ResizeObserver
+ */
+export class ResizeObserverController extends ObserverController {
+  constructor() {
+    super('ResizeObserver');
+  }
+
+  /**
+   * Report a new size for an element
+   * @param {Element} element
+   * @param {{width: number, height: number}} size
+   */
+  resize(element, { width = 0, height = 0 } = {}) {
+    const box = [{ inlineSize: width, blockSize: height }];
+    return this.trigger(element, {
+      contentRect: { width, height, top: 0, left: 0, right: width, bottom: height, x: 0, y: 0 },
+      contentBoxSize: box,
+      borderBoxSize: box,
+    });
+  }
+}
+
+/**
+ * Replace IntersectionObserver with a test-driven fake
+ * @returns {IntersectionObserverController} Call restore() when done
+ */
+export function installIntersectionObserver() {
+  return new IntersectionObserverController();
+}
+
+/**
+ * Replace ResizeObserver with a test-driven fake
+ * @returns {ResizeObserverController} Call restore() when done
+ */
+export function installResizeObserver() {
+  return new ResizeObserverController();
+}
+
+/**
+ * Finish transitions instantly
+ * Resolves every pending waitForTransition(), fadeIn() and fadeOut(), fires
+ * transitionend/animationend on elements under `root` with an inline transition
+ * or animation, then lets promise callbacks run.
+ * @param {ParentNode} [root=document] - Where to look for inline transitions
+ * @returns {Promise<void>}
+ */
+export async function flushTransitions(root = document) {
+  finishPendingTransitions();
+
+  for (const element of root.querySelectorAll('*')) {
+    if (element.style?.transition) {
+      element.dispatchEvent(new Event('transitionend', { bubbles: true }));
+    }
+    if (element.style?.animation) {
+      element.dispatchEvent(new Event('animationend', { bubbles: true }));
+    }
+  }
+
+  // Give awaiting components a chance to continue
+  for (let i = 0; i < 10; i++) {
+    await Promise.resolve();
+  }
+}
+
+const fixtures = new Set();
+
+/**
+ * Render markup into the document and mount a component on it
+ * @param {string} html - Fixture markup
+ * @param {Function} Component - BaseComponent subclass
+ * @param {Object} [options={}]
+ * @param {string} [options.selector] - Elements to mount (defaults to `[data-<component>]`)
+ * @param {EventManager} [options.eventBus] - Defaults to a RecordingEventManager
+ * @param {Object} [options.logger] - Defaults to createTestLogger()
+ * @param {Object} [options.router] - Defaults to a FakeRouter on the same bus
+ * @param {string} [options.mode='development'] - Component mode
+ * @returns {Object} `{ container, element, elements, instance, eventBus, logger, router, getState, cleanup }`
+ */
+export function mountFixture(html, Component, options = {}) {
+  const eventBus = options.eventBus || new RecordingEventManager();
+  const logger = options.logger || createTestLogger();
+  const router = options.router || new FakeRouter({ eventBus });
+
+  const container = document.createElement('div');
+  container.setAttribute('data-test-fixture', '');
+  container.innerHTML = html;
+  document.body.appendChild(container);
+
+  const instance = new Component({
+    eventBus,
+    logger,
+    router,
+    mode: options.mode || 'development',
+  });
+
+  const selector = options.selector || `[${instance._getSelector()}]`;
+  const elements = [...container.querySelectorAll(selector)];
+  elements.forEach(element => instance.mount(element));
+
+  const fixture = {
+    container,
+    element: elements[0] || null,
+    elements,
+    instance,
+    eventBus,
+    logger,
+    router,
+    getState: (element = fixture.element) => instance.getState(element),
+    cleanup() {
+      elements.forEach(element => instance.unmount(element));
+      instance.destroy?.();
+      container.remove();
+      fixtures.delete(fixture);
+    },
+  };
+
+  fixtures.add(fixture);
+  return fixture;
+}
+
+/**
+ * Clean up every fixture created by mountFixture() (use in afterEach)
+ */
+export function cleanupFixtures() {
+  for (const fixture of [...fixtures]) {
+    fixture.cleanup();
+  }
+}
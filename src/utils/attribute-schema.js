@@ -0,0 +1,188 @@
+/**
+ * Attribute Schema Utilities
+ * Typed parsing and validation of data-* attributes against a component schema
+ *
+ * A schema maps config keys to attribute specs. A spec is either a type name
+ * or an object with a `type`, a `default` and type-specific options:
+ *
+ * - boolean: present/"true"/"1"/"yes" → true, "false"/"0"/"no" → false
+ * - number: finite number, optional `min` / `max`
+ * - enum: one of `values`
+ * - json: JSON.parse()d value
+ * - selector: CSS selector string that document.querySelector() accepts
+ * - duration: milliseconds from "300", "300ms" or "0.3s"
+ * - string: raw value (the default type)
+ *
+ * The attribute name is the kebab-cased key, unless the spec sets `attr`.
+ *
+ * @example
+ * static get schema() {
+ *   return {
+ *     sortable: { type: 'boolean', default: true },
+ *     pageSize: { type: 'number', default: 10, min: 1 },
+ *     align: { type: 'enum', values: ['start', 'end'], default: 'start' },
+ *     delay: { type: 'duration', default: 300, attr: 'search-delay' },
+ *   };
+ * }
+ */
+
+const TRUE_VALUES = ['', 'true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Convert camelCase to kebab-case
+ * @param {string} str - String to convert
+ * @returns {string} Kebab-cased string
+ */
+export function kebabCase(str) {
+  return str.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+/**
+ * Normalise a schema entry into a spec object
+ * @param {string} key - Config key
+ * @param {string|Object} entry - Type name or spec object
+ * @returns {Object} Spec with type, default and attr
+ */
+export function normalizeSpec(key, entry) {
+  const spec = typeof entry === 'string' ? { type: entry } : { ...entry };
+  spec.type = spec.type || 'string';
+  spec.attr = spec.attr || kebabCase(key);
+  if (!('default' in spec)) {
+    spec.default = spec.type === 'boolean' ? false : null;
+  }
+  return spec;
+}
+
+/**
+ * Attribute names (without the data-<component>- prefix) a schema reads
+ * @param {Object} schema - Component schema
+ * @returns {string[]}
+ */
+export function schemaAttributes(schema) {
+  return Object.entries(schema || {}).map(([key, entry]) => normalizeSpec(key, entry).attr);
+}
+
+/**
+ * Parse a single raw attribute value against a spec
+ * @param {string} raw - Attribute value as read from the DOM
+ * @param {Object} spec - Normalised spec
+ * @returns {{value: *, error: string|null}} Parsed value, or an error describing what was expected
+ */
+export function parseAttributeValue(raw, spec) {
+  const value = raw.trim();
+
+  switch (spec.type) {
+    case 'boolean': {
+      const lower = value.toLowerCase();
+      if (TRUE_VALUES.includes(lower)) return { value: true, error: null };
+      if (FALSE_VALUES.includes(lower)) return { value: false, error: null };
+      return { value: null, error: 'expected a boolean ("true" or "false")' };
+    }
+
+    case 'number': {
+      const number = value === '' ? NaN : Number(value);
+      if (!Number.isFinite(number)) {
+        return { value: null, error: 'expected a number' };
+      }
+      if (spec.min !== undefined && number < spec.min) {
+        return { value: null, error: `expected a number >= ${spec.min}` };
+      }
+      if (spec.max !== undefined && number > spec.max) {
+        return { value: null, error: `expected a number <= ${spec.max}` };
+      }
+      return { value: number, error: null };
+    }
+
+    case 'enum': {
+      const values = spec.values || [];
+      if (!values.includes(value)) {
+        return { value: null, error: `expected one of ${values.join(', ')}` };
+      }
+      return { value, error: null };
+    }
+
+    case 'json': {
+      try {
+        return { value: JSON.parse(value), error: null };
+      } catch {
+        return { value: null, error: 'expected valid JSON' };
+      }
+    }
+
+    case 'selector': {
+      if (value === '') {
+        return { value: null, error: 'expected a CSS selector' };
+      }
+      try {
+        document.querySelector(value);
+        return { value, error: null };
+      } catch {
+        return { value: null, error: 'expected a valid CSS selector' };
+      }
+    }
+
+    case 'duration': {
+      const match = value.match(/^(\d+(?:\.\d+)?|\.\d+)(ms|s)?$/);
+      if (!match) {
+        return { value: null, error: 'expected a duration such as "300", "300ms" or "0.3s"' };
+      }
+      const amount = parseFloat(match[1]);
+      return { value: match[2] === 's' ? amount * 1000 : amount, error: null };
+    }
+
+    case 'string':
+      return { value: raw, error: null };
+
+    default:
+      return { value: null, error: `unknown schema type "${spec.type}"` };
+  }
+}
+
+/**
+ * Short description of an element for warnings, e.g. `table#orders.striped`
+ * @param {Element} element - Element to describe
+ * @returns {string}
+ */
+export function describeElement(element) {
+  if (!element?.tagName) return String(element);
+
+  let description = element.tagName.toLowerCase();
+  if (element.id) description += `#${element.id}`;
+  if (element.classList?.length) description += `.${[...element.classList].join('.')}`;
+  return description;
+}
+
+/**
+ * Read and parse every attribute in a schema
+ * @param {Element} element - Element carrying the attributes
+ * @param {string} prefix - Attribute prefix, e.g. 'data-datatable'
+ * @param {Object} schema - Component schema
+ * @param {Function} [onInvalid] - Called with ({ key, attribute, value, error, fallback }) for bad values
+ * @returns {Object} Typed config object; invalid or missing values fall back to the default
+ */
+export function parseAttributeSchema(element, prefix, schema, onInvalid) {
+  const config = {};
+
+  for (const [key, entry] of Object.entries(schema)) {
+    const spec = normalizeSpec(key, entry);
+    const attribute = `${prefix}-${spec.attr}`;
+    const raw = element.getAttribute(attribute);
+
+    if (raw === null) {
+      config[key] = spec.default;
+      continue;
+    }
+
+    const { value, error } = parseAttributeValue(raw, spec);
+    if (error) {
+      config[key] = spec.default;
+      onInvalid?.({ key, attribute, value: raw, error, fallback: spec.default });
+      continue;
+    }
+
+    config[key] = value;
+  }
+
+  return config;
+}
@@ -102,6 +102,33 @@ export function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/* Finishers for in-flight transitions. Keyed on a global symbol so every bundle
+ * that inlines these utilities shares one set, which the testing harness flushes. */
+const PENDING_TRANSITIONS = Symbol.for('parallelogram.pendingTransitions');
+
+function trackTransition(finish) {
+  if (!globalThis[PENDING_TRANSITIONS]) {
+    globalThis[PENDING_TRANSITIONS] = new Set();
+  }
+  const pending = globalThis[PENDING_TRANSITIONS];
+  pending.add(finish);
+  return () => pending.delete(finish);
+}
+
+/**
+ * Immediately finish every pending waitForTransition(), fadeIn() and fadeOut()
+ * @returns {number} Number of transitions finished
+ */
+export function finishPendingTransitions() {
+  const pending = globalThis[PENDING_TRANSITIONS];
+  if (!pending) return 0;
+
+  const finishers = [...pending];
+  pending.clear();
+  finishers.forEach(finish => finish());
+  return finishers.length;
+}
+
 /**
  * Wait for CSS transition or animation to complete
  * @param {HTMLElement} element - Element with transition/animation
@@ -110,7 +137,12 @@ export function delay(ms) {
  */
 export async function waitForTransition(element, timeout = 2000) {
   return new Promise((resolve) => {
+    let timer = null;
+    let untrack = null;
+
     const handleEnd = () => {
+      clearTimeout(timer);
+      untrack();
       element.removeEventListener('animationend', handleEnd);
       element.removeEventListener('transitionend', handleEnd);
       resolve();
@@ -119,11 +151,8 @@ export async function waitForTransition(element, timeout = 2000) {
     element.addEventListener('animationend', handleEnd, { once: true });
     element.addEventListener('transitionend', handleEnd, { once: true });
 
-    setTimeout(() => {
-      element.removeEventListener('animationend', handleEnd);
-      element.removeEventListener('transitionend', handleEnd);
-      resolve();
-    }, timeout);
+    timer = setTimeout(handleEnd, timeout);
+    untrack = trackTransition(handleEnd);
   });
 }
 
@@ -140,10 +169,14 @@ export async function fadeIn(element, duration = 300) {
   element.style.opacity = '1';
 
   return new Promise((resolve) => {
-    setTimeout(() => {
+    const finish = () => {
+      clearTimeout(timer);
+      untrack();
       element.style.transition = '';
       resolve();
-    }, duration);
+    };
+    const timer = setTimeout(finish, duration);
+    const untrack = trackTransition(finish);
   });
 }
 
@@ -160,10 +193,14 @@ export async function fadeOut(element, duration = 300) {
   element.style.opacity = '0';
 
   return new Promise((resolve) => {
-    setTimeout(() => {
+    const finish = () => {
+      clearTimeout(timer);
+      untrack();
       element.style.transition = '';
       resolve();
-    }, duration);
+    };
+    const timer = setTimeout(finish, duration);
+    const untrack = trackTransition(finish);
   });
 }
 
@@ -289,4 +326,42 @@ export function getTargetElement(element, dataAttr, options = {}) {
     options.logger.warn(`Target element not found`, { selector, element });
   }
   return target;
-}
\ No newline at end of file
+}
+
+/**
+ * Build a readable CSS path for an element, e.g. `main#content > div.tabs:nth-of-type(2)`
+ * Stops at the nearest ancestor with an id (or at <body>).
+ * @param {Element} element - Element to describe
+ * @returns {string} CSS path
+ */
+export function getElementPath(element) {
+  const parts = [];
+  let node = element;
+
+  while (node && node.nodeType === 1 && node !== document.documentElement) {
+    let part = node.tagName.toLowerCase();
+
+    if (node.id) {
+      parts.unshift(`${part}#${node.id}`);
+      break;
+    }
+
+    if (node.classList.length) {
+      part += `.${[...node.classList].join('.')}`;
+    }
+
+    const parent = node.parentElement;
+    if (parent) {
+      const sameTag = [...parent.children].filter(child => child.tagName === node.tagName);
+      if (sameTag.length > 1) {
+        part += `:nth-of-type(${sameTag.indexOf(node) + 1})`;
+      }
+    }
+
+    parts.unshift(part);
+    if (node === document.body) break;
+    node = parent;
+  }
+
+  return parts.join(' > ');
+}
@@ -0,0 +1,108 @@
+/**
+ * Performance Utilities
+ * User Timing spans for framework phases (module loads, mounts, navigation, transitions)
+ *
+ * Spans are named `parallelogram:<area>:<detail>`, so they show up grouped in
+ * the DevTools performance panel. Their marks and measures are cleared from the
+ * performance timeline once reported, so long sessions don't accumulate entries;
+ * a PerformanceObserver for 'measure' entries still receives every span.
+ */
+
+export const TIMING_PREFIX = 'parallelogram';
+
+const hasUserTiming =
+  typeof performance !== 'undefined' &&
+  typeof performance.mark === 'function' &&
+  typeof performance.measure === 'function';
+
+/**
+ * Start a User Timing span
+ * Marks `<name>:start` now; calling the returned `end()` marks `<name>:end`,
+ * records a `performance.measure()` for the span and, when an event bus is
+ * given, emits `metrics:measure` with `{ name, startTime, duration, detail }`.
+ * The marks are cleared once measured and the measure once reported.
+ * @param {string} name - Span name without the prefix, e.g. 'mount:tabs'
+ * @param {Object} [detail={}] - Data attached to the measure
+ * @param {Object} [eventBus] - Bus to emit metrics:measure on
+ * @returns {Function} end(extraDetail) → the measure record
+ *
+ * @example
+ * const end = startSpan('navigation:fetch', { url }, this.eventBus);
+ * const response = await fetch(url);
+ * end({ status: response.status });
+ */
+export function startSpan(name, detail = {}, eventBus = null) {
+  const fullName = `${TIMING_PREFIX}:${name}`;
+  const startTime = now();
+  safeMark(`${fullName}:start`, detail);
+
+  let ended = null;
+  return (extraDetail = {}) => {
+    if (ended) return ended;
+
+    const endTime = now();
+    const spanDetail = { ...detail, ...extraDetail };
+    safeMark(`${fullName}:end`, spanDetail);
+
+    let duration = endTime - startTime;
+    if (hasUserTiming) {
+      try {
+        const entry = performance.measure(fullName, {
+          start: startTime,
+          end: endTime,
+          detail: spanDetail,
+        });
+        duration = entry?.duration ?? duration;
+      } catch {
+        // Browsers without the options form of measure() still get the marks
+      }
+      safeClear('clearMarks', `${fullName}:start`);
+      safeClear('clearMarks', `${fullName}:end`);
+    }
+
+    ended = { name: fullName, startTime, duration, detail: spanDetail };
+    eventBus?.emit('metrics:measure', ended);
+    if (hasUserTiming) {
+      safeClear('clearMeasures', fullName);
+    }
+    return ended;
+  };
+}
+
+/**
+ * High resolution timestamp, falling back to Date.now()
+ * @private
+ */
+function now() {
+  return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+/**
+ * performance.mark() that never throws
+ * @private
+ */
+function safeMark(name, detail) {
+  if (!hasUserTiming) return;
+
+  try {
+    performance.mark(name, { detail });
+  } catch {
+    try {
+      performance.mark(name);
+    } catch {
+      // User Timing unavailable (or the name clashes with a navigation timing entry)
+    }
+  }
+}
+
+/**
+ * performance.clearMarks() / clearMeasures() that never throws
+ * @private
+ */
+function safeClear(method, name) {
+  try {
+    performance[method]?.(name);
+  } catch {
+    // Nothing to clear
+  }
+}